@@ -15,7 +15,18 @@ import { ToastNotification } from './modules/ToastNotification.js';
 import { ModalManager } from './modules/ModalManager.js';
 import { EventBus } from './modules/EventBus.js';
 import { StateManager } from './modules/StateManager.js';
-import { formCategories } from './data/formCategories.js';
+import { HeadImporter } from './modules/HeadImporter.js';
+import { SchemaImporter } from './modules/SchemaImporter.js';
+import { OutputFormatter } from './modules/OutputFormatter.js';
+import { ManifestGenerator } from './modules/ManifestGenerator.js';
+import { BrowserConfigGenerator } from './modules/BrowserConfigGenerator.js';
+import { RobotsTxtGenerator } from './modules/RobotsTxtGenerator.js';
+import { WorkspaceManager } from './modules/WorkspaceManager.js';
+import { SnapshotManager } from './modules/SnapshotManager.js';
+import { ConfigSchema } from './modules/ConfigSchema.js';
+import { ShareLink } from './modules/ShareLink.js';
+import { TabSync } from './modules/TabSync.js';
+import { formCategories, siteCategory } from './data/formCategories.js';
 
 /**
  * Main Application Class
@@ -24,7 +35,7 @@ class MetaTagsApp {
     constructor() {
         this.state = new StateManager();
         this.eventBus = new EventBus();
-        this.storage = new StorageManager();
+        this.storage = new StorageManager({ eventBus: this.eventBus });
         this.theme = new ThemeManager();
         this.toast = new ToastNotification();
         this.modal = new ModalManager();
@@ -32,24 +43,84 @@ class MetaTagsApp {
         this.formRenderer = new FormRenderer(this.eventBus, this.validator);
         this.metaGenerator = new MetaGenerator();
         this.preview = new PreviewManager();
+        this.headImporter = new HeadImporter();
+        this.schemaImporter = new SchemaImporter(this.metaGenerator);
+        this.outputFormatter = new OutputFormatter(this.metaGenerator);
+        this.manifestGenerator = new ManifestGenerator();
+        this.browserConfigGenerator = new BrowserConfigGenerator();
+        this.robotsTxtGenerator = new RobotsTxtGenerator();
+        this.workspace = new WorkspaceManager(this.state, this.storage);
+        this.snapshots = new SnapshotManager(this.storage);
+        this.configSchema = new ConfigSchema();
+        
+        // Stored pages and snapshots get the same upgrade as imported 3.0.0 files
+        this.storage.addMigration({
+            from: '3.0.0',
+            to: '3.1.0',
+            migrate: entries => _.mapValues(entries, (value, key) => (
+                key === 'workspace' || key.startsWith('snapshot:')
+                    ? this.configSchema.mapPages(value, data => this.configSchema.migrateAuthors(data))
+                    : value
+            ))
+        });
+        this.shareLink = new ShareLink(this.configSchema);
+        this.tabSync = new TabSync(this.eventBus);
+        this.applyingRemote = false;
+        this.syncConflicts = new Map();
+        
+        // Local edits are sent to other tabs once typing pauses, diffed from the workspace before the burst
+        this.syncBase = null;
+        this.schedulePublish = _.debounce(() => this.publishWorkspace(), 300);
+        
+        // Page list SEO scores, recomputed when a page's data or the site defaults change
+        this.pageScores = new Map();
+        this.pageListHtml = null;
+        
+        // Structured data health by page data object
+        this.schemaHealth = new WeakMap();
+        this.schemaNode = 0;
         
         this.currentCategory = 'basic';
         this.formData = {};
+        this.selectedPages = new Set();
+        
+        // Undo/redo stacks of the pages that are not active
+        this.histories = new Map();
+        
+        // Per-category notices shown above the form fields
+        this.noticeProviders = {
+            seo: (data) => this.getRobotsNotices(data),
+            mobile: (data) => this.getManifestNotices(data),
+            advanced: (data) => this.getBrowserConfigNotices(data),
+            schema: (data) => this.getStructuredDataNotices(data)
+        };
         
-        this.init();
+        // Buttons declared by a field's "actions"
+        this.fieldActions = {
+            deriveBreadcrumbs: () => this.deriveBreadcrumbs()
+        };
+        
+        this.init().catch(error => {
+            console.error('Initialization failed:', error);
+            this.toast.show(`The application failed to start: ${error.message}`, 'error', 0);
+        });
     }
     
     /**
      * Initialize Application
      */
-    init() {
+    async init() {
         console.log('🚀 Meta Tags Generator v2.0 - Enterprise Edition');
         
         // Initialize modules
         this.theme.init();
-        this.setupEventListeners();
+        await this.storage.init();
         this.loadSavedData();
+        
+        // Listeners wait for the stored workspace, so early clicks cannot act on an empty one
+        this.setupEventListeners();
         this.renderInitialForm();
+        this.renderPageList();
         this.setupAutoSave();
         
         // Subscribe to state changes
@@ -57,7 +128,39 @@ class MetaTagsApp {
             this.handleFormDataChange(data);
         });
         
+        this.state.subscribe('workspace', (workspace, previous) => {
+            this.renderPageList();
+            
+            // Changes received from another tab are not sent back
+            if (previous && !this.applyingRemote) {
+                this.syncBase = this.syncBase || previous;
+                this.schedulePublish();
+                
+                if (workspace.activePageId !== previous.activePageId) this.publishWorkspace();
+            }
+            this.tabSync.setPage(workspace.activePageId);
+        });
+        
+        this.state.subscribe('*', () => {
+            this.updateHistoryButtons();
+        });
+        
+        this.tabSync.start(this.workspace.getActive().id);
+        
         this.toast.show('Application loaded successfully', 'success');
+        
+        if (!this.storage.isPersistent()) {
+            this.warnNotPersistent();
+        }
+        
+        await this.openShareLink();
+    }
+    
+    /**
+     * Tell the user that browser storage is unavailable
+     */
+    warnNotPersistent() {
+        this.toast.show('Browser storage is unavailable: your work will be lost when this tab is closed. Export it to keep a copy.', 'warning', 0);
     }
     
     /**
@@ -74,6 +177,47 @@ class MetaTagsApp {
             }
         });
         
+        // Page switcher
+        const pageList = document.getElementById('pageList');
+        pageList.addEventListener('click', (e) => {
+            const renameBtn = e.target.closest('[data-page-rename]');
+            const openBtn = e.target.closest('[data-page-open]');
+            
+            if (renameBtn) {
+                this.handleRenamePage(renameBtn.dataset.pageRename);
+            } else if (openBtn) {
+                this.switchPage(openBtn.dataset.pageOpen);
+            }
+        });
+        
+        pageList.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-page-select]');
+            if (!checkbox) return;
+            
+            if (checkbox.checked) {
+                this.selectedPages.add(checkbox.dataset.pageSelect);
+            } else {
+                this.selectedPages.delete(checkbox.dataset.pageSelect);
+            }
+        });
+        
+        // Page actions
+        document.getElementById('addPage').addEventListener('click', () => {
+            this.handleAddPage();
+        });
+        
+        document.getElementById('duplicatePages').addEventListener('click', () => {
+            this.handleDuplicatePages();
+        });
+        
+        document.getElementById('deletePages').addEventListener('click', () => {
+            this.handleDeletePages();
+        });
+        
+        document.getElementById('exportPages').addEventListener('click', () => {
+            this.handleExportWorkspace();
+        });
+        
         // Theme toggle
         const themeToggle = document.getElementById('themeToggle');
         themeToggle.addEventListener('click', () => {
@@ -81,6 +225,32 @@ class MetaTagsApp {
             this.updateThemeIcon();
         });
         
+        // Undo / redo
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.handleUndo();
+        });
+        
+        document.getElementById('redoBtn').addEventListener('click', () => {
+            this.handleRedo();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            
+            // Leave native undo to modal inputs (e.g. the paste HTML textarea)
+            if (e.target.closest && e.target.closest('.modal')) return;
+            
+            const key = e.key.toLowerCase();
+            
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.handleRedo();
+            }
+        });
+        
         // Reset all
         const resetBtn = document.getElementById('resetAll');
         resetBtn.addEventListener('click', () => {
@@ -99,6 +269,27 @@ class MetaTagsApp {
             this.handleImport();
         });
         
+        // Import from existing HTML
+        const pasteHtmlBtn = document.getElementById('pasteHtml');
+        pasteHtmlBtn.addEventListener('click', () => {
+            this.handlePasteHtml();
+        });
+        
+        // Share link
+        document.getElementById('shareLink').addEventListener('click', () => {
+            this.handleShareLink();
+        });
+        
+        window.addEventListener('hashchange', () => {
+            this.openShareLink();
+        });
+        
+        // Snapshots
+        const snapshotsBtn = document.getElementById('snapshots');
+        snapshotsBtn.addEventListener('click', () => {
+            this.handleSnapshots();
+        });
+        
         // Copy code
         const copyBtn = document.getElementById('copyCode');
         copyBtn.addEventListener('click', () => {
@@ -111,17 +302,69 @@ class MetaTagsApp {
             this.handleDownload();
         });
         
+        // Output format change
+        const outputFormat = document.getElementById('outputFormat');
+        outputFormat.addEventListener('change', () => {
+            this.updateCodeOutput();
+        });
+        
         // Preview type change
         const previewType = document.getElementById('previewType');
         previewType.addEventListener('change', (e) => {
             this.updatePreview();
         });
         
+        // Repeater add/remove buttons
+        const formContainer = document.getElementById('formContainer');
+        formContainer.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('[data-repeater-add]');
+            const removeBtn = e.target.closest('[data-repeater-remove]');
+            const nodeBtn = e.target.closest('[data-schema-node]');
+            const actionBtn = e.target.closest('[data-field-action]');
+            
+            if (addBtn) {
+                this.addRepeaterItem(addBtn.dataset.repeaterAdd);
+            } else if (removeBtn) {
+                this.removeRepeaterItem(removeBtn.dataset.repeaterRemove, Number(removeBtn.dataset.index));
+            } else if (nodeBtn) {
+                this.switchSchemaNode(Number(nodeBtn.dataset.schemaNode));
+            } else if (e.target.closest('[data-schema-node-add]')) {
+                this.addSchemaNode();
+            } else if (e.target.closest('[data-schema-node-remove]')) {
+                this.removeSchemaNode();
+            } else if (e.target.closest('[data-schema-import]')) {
+                this.handleImportJsonLd();
+            } else if (actionBtn) {
+                this.fieldActions[actionBtn.dataset.fieldAction]();
+            }
+        });
+        
+        // Site default override toggles
+        formContainer.addEventListener('change', (e) => {
+            const toggle = e.target.closest('[data-override]');
+            if (toggle) {
+                this.setFieldOverride(toggle.dataset.override, toggle.checked);
+            }
+        });
+        
         // Listen to form changes via EventBus
         this.eventBus.on('formFieldChanged', (data) => {
             this.handleFieldChange(data);
         });
         
+        // Listen to other tabs
+        this.eventBus.on('tabSyncChanges', (message) => {
+            this.applyRemoteChanges(message);
+        });
+        
+        this.eventBus.on('tabSyncPeers', (peers) => {
+            this.renderPresence(peers);
+        });
+        
+        this.eventBus.on('storageBackendChanged', ({ persistent }) => {
+            if (!persistent) this.warnNotPersistent();
+        });
+        
         // Listen to validation events
         this.eventBus.on('validationError', (error) => {
             this.toast.show(error.message, 'error');
@@ -146,6 +389,217 @@ class MetaTagsApp {
         this.updatePreview();
     }
     
+    /**
+     * Switch Page
+     */
+    switchPage(id) {
+        const currentId = this.workspace.getActive().id;
+        if (id === currentId) return;
+        
+        // Each page keeps its own undo history
+        this.histories.set(currentId, this.state.swapHistory(this.histories.get(id)));
+        this.histories.delete(id);
+        
+        this.workspace.setActive(id);
+        this.loadActivePage();
+    }
+    
+    /**
+     * Load the active page into the form, preview and stats
+     */
+    loadActivePage() {
+        this.formData = this.workspace.getActive().data;
+        this.schemaNode = 0;
+        this.state.set('formData', this.formData, { history: false });
+        this.renderForm(this.currentCategory);
+        this.updateCodeOutput();
+        this.updatePreview();
+        this.updateStats();
+    }
+    
+    /**
+     * Render the page switcher
+     */
+    renderPageList() {
+        const list = document.getElementById('pageList');
+        const { activePageId, pages } = this.workspace.get();
+        
+        // Forget selections and scores of pages that no longer exist
+        this.selectedPages.forEach(id => {
+            if (!pages.some(page => page.id === id)) this.selectedPages.delete(id);
+        });
+        this.pageScores.forEach((score, id) => {
+            if (!pages.some(page => page.id === id)) this.pageScores.delete(id);
+        });
+        
+        const peerPages = Array.from(this.tabSync.peers.values()).map(peer => peer.pageId);
+        
+        const html = pages.map(page => {
+            const score = this.getPageScore(page);
+            const tone = score >= 80 ? 'success' : score >= 50 ? 'warning' : 'danger';
+            const presence = peerPages.includes(page.id)
+                ? '<i class="fas fa-eye page-presence" title="Open in another tab"></i>'
+                : '';
+            
+            return `
+                <li class="page-item ${page.id === activePageId ? 'active' : ''}">
+                    <input type="checkbox" class="page-select" data-page-select="${page.id}"
+                        title="Select page" ${this.selectedPages.has(page.id) ? 'checked' : ''}>
+                    <button type="button" class="page-name" data-page-open="${page.id}">${this.escapeHtml(page.name)}</button>
+                    ${presence}
+                    <span class="badge badge-${tone}" title="SEO Score">${score}%</span>
+                    <button type="button" class="page-rename" data-page-rename="${page.id}" title="Rename page">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+        
+        // Most edits leave every row as it was
+        if (html === this.pageListHtml) return;
+        
+        this.pageListHtml = html;
+        list.innerHTML = html;
+    }
+    
+    /**
+     * SEO score of a page, cached until its data or the site defaults change
+     */
+    getPageScore(page) {
+        const defaults = this.workspace.getDefaults();
+        const cached = this.pageScores.get(page.id);
+        
+        if (cached && cached.data === page.data && cached.defaults === defaults) {
+            return cached.score;
+        }
+        
+        const data = this.getResolvedData(page.data);
+        const score = this.metaGenerator.calculateSEOScore(data, this.getSchemaHealth(page.data));
+        
+        this.pageScores.set(page.id, { data: page.data, defaults, score });
+        return score;
+    }
+    
+    /**
+     * Send the local workspace changes made since the last message to the other tabs
+     */
+    publishWorkspace() {
+        this.schedulePublish.cancel();
+        if (!this.syncBase) return;
+        
+        this.tabSync.publish(this.syncBase, this.workspace.get());
+        this.syncBase = null;
+    }
+    
+    /**
+     * Pages targeted by bulk actions: the selection, or the active page
+     */
+    getTargetPageIds() {
+        return this.selectedPages.size > 0
+            ? [...this.selectedPages]
+            : [this.workspace.getActive().id];
+    }
+    
+    /**
+     * Handle Add Page
+     */
+    handleAddPage() {
+        this.modal.prompt({
+            title: 'New Page',
+            message: 'Name of the new page:',
+            placeholder: 'e.g. About',
+            confirmText: 'Create',
+            onConfirm: (name) => {
+                const page = this.workspace.add(name);
+                this.switchPage(page.id);
+                this.toast.show(`Page "${page.name}" created`, 'success');
+            }
+        });
+    }
+    
+    /**
+     * Handle Rename Page
+     */
+    handleRenamePage(id) {
+        const page = this.workspace.getPage(id);
+        if (!page) return;
+        
+        this.modal.prompt({
+            title: 'Rename Page',
+            message: 'New name for the page:',
+            defaultValue: page.name,
+            confirmText: 'Rename',
+            onConfirm: (name) => {
+                this.workspace.rename(id, name);
+            }
+        });
+    }
+    
+    /**
+     * Handle Duplicate Pages
+     */
+    handleDuplicatePages() {
+        const copies = this.workspace.duplicate(this.getTargetPageIds());
+        
+        this.selectedPages.clear();
+        this.renderPageList();
+        this.toast.show(`${copies.length} page${copies.length === 1 ? '' : 's'} duplicated`, 'success');
+    }
+    
+    /**
+     * Handle Delete Pages
+     */
+    handleDeletePages() {
+        const ids = this.getTargetPageIds();
+        const names = ids.map(id => `"${this.workspace.getPage(id).name}"`).join(', ');
+        
+        if (ids.length >= this.workspace.getPages().length) {
+            this.toast.show('A workspace needs at least one page', 'warning');
+            return;
+        }
+        
+        this.modal.confirm({
+            title: 'Delete Pages',
+            message: `Delete ${names}? This action cannot be undone.`,
+            confirmText: 'Delete',
+            cancelText: 'Cancel',
+            onConfirm: () => {
+                const activeId = this.workspace.getActive().id;
+                const removed = this.workspace.remove(ids);
+                
+                this.selectedPages.clear();
+                ids.forEach(id => {
+                    this.histories.delete(id);
+                    this.snapshots.removePage(id);
+                });
+                this.renderPageList();
+                
+                if (this.workspace.getActive().id !== activeId) {
+                    const nextId = this.workspace.getActive().id;
+                    this.state.swapHistory(this.histories.get(nextId));
+                    this.histories.delete(nextId);
+                    this.loadActivePage();
+                }
+                
+                this.toast.show(`${removed} page${removed === 1 ? '' : 's'} deleted`, 'success');
+            }
+        });
+    }
+    
+    /**
+     * Handle Export Workspace
+     */
+    handleExportWorkspace() {
+        const exportData = this.workspace.export();
+        
+        this.downloadFile(
+            `meta-workspace-${Date.now()}.json`,
+            JSON.stringify(exportData, null, 2),
+            'application/json'
+        );
+        this.toast.show(`${exportData.pages.length} pages exported successfully`, 'success');
+    }
+    
     /**
      * Render Initial Form
      */
@@ -158,25 +612,232 @@ class MetaTagsApp {
      */
     renderForm(category) {
         const container = document.getElementById('formContainer');
-        const categoryData = formCategories[category];
+        const categoryData = this.getCategory(category);
         
         if (!categoryData) {
             console.error(`Category not found: ${category}`);
             return;
         }
         
-        const html = this.formRenderer.render(categoryData, this.formData);
+        // The site category edits the defaults; page categories show them as inherited values
+        let html;
+        if (category === 'site') {
+            html = this.formRenderer.render(categoryData, this.workspace.getDefaults());
+        } else if (category === 'schema') {
+            html = this.renderSchemaNodes(categoryData);
+        } else {
+            html = this.formRenderer.render(categoryData, this.formData, this.workspace.getDefaults());
+        }
         container.innerHTML = html;
         
         // Attach event listeners to form fields
         this.attachFormListeners(container);
+        this.updateFormNotices();
+    }
+    
+    /**
+     * Render the schema node tabs and the form of the selected node
+     */
+    renderSchemaNodes(categoryData) {
+        const nodes = this.formData.schema_nodes || [];
+        
+        // The selected node may be gone after an undo or a change in another tab
+        if (this.schemaNode > nodes.length) {
+            this.schemaNode = 0;
+        }
+        
+        const tabs = [this.formData, ...nodes].map((node, index) => `
+            <button type="button" class="schema-node-tab ${index === this.schemaNode ? 'active' : ''}" data-schema-node="${index}">
+                ${index + 1}. ${this.escapeHtml(node.schema_type || 'New node')}
+            </button>
+        `).join('');
+        
+        const form = this.schemaNode === 0
+            ? this.formRenderer.render(categoryData, this.formData, this.workspace.getDefaults())
+            : this.formRenderer.render(
+                { ...categoryData, fields: categoryData.fields.filter(field => !field.pageLevel) },
+                nodes[this.schemaNode - 1]
+            );
+        
+        return `
+            <div class="schema-nodes">
+                <div class="schema-node-tabs">
+                    ${tabs}
+                    <button type="button" class="btn-sm btn-secondary" data-schema-node-add title="Add a node, e.g. an Organization the Article's publisher points at">
+                        <i class="fas fa-plus"></i> Add node
+                    </button>
+                </div>
+                <div class="schema-node-actions">
+                    <button type="button" class="btn-sm btn-secondary" data-schema-import title="Replace the schema nodes with pasted JSON-LD">
+                        <i class="fas fa-file-import"></i> Import JSON-LD
+                    </button>
+                    ${this.schemaNode > 0 ? `
+                        <button type="button" class="btn-sm btn-secondary" data-schema-node-remove>
+                            <i class="fas fa-trash"></i> Remove node
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            ${form}
+        `;
+    }
+    
+    /**
+     * Fill the breadcrumbs from the path of the canonical URL
+     */
+    deriveBreadcrumbs() {
+        const data = this.getResolvedData();
+        const trail = this.metaGenerator.deriveBreadcrumbs(data.canonical);
+        
+        if (trail.length === 0) {
+            this.toast.show('Enter a valid canonical URL in the SEO category first', 'warning');
+            return;
+        }
+        
+        const apply = () => this.handleFieldChange({ field: 'breadcrumbs', value: trail });
+        
+        if ((this.formData.breadcrumbs || []).length === 0) {
+            apply();
+            this.renderForm('schema');
+            return;
+        }
+        
+        this.modal.confirm({
+            title: 'Replace Breadcrumbs',
+            message: `Replace the current breadcrumbs with ${trail.map(crumb => crumb.name).join(' › ')}?`,
+            confirmText: 'Replace',
+            onConfirm: () => {
+                apply();
+                this.renderForm('schema');
+            }
+        });
+    }
+    
+    /**
+     * Select the schema node to edit
+     */
+    switchSchemaNode(index) {
+        this.schemaNode = index;
+        this.renderForm('schema');
+    }
+    
+    /**
+     * Add an empty schema node and select it
+     */
+    addSchemaNode() {
+        const nodes = [...(this.formData.schema_nodes || []), {}];
+        
+        this.schemaNode = 0;
+        this.handleFieldChange({ field: 'schema_nodes', value: nodes });
+        this.switchSchemaNode(nodes.length);
+    }
+    
+    /**
+     * Remove the selected schema node
+     */
+    removeSchemaNode() {
+        const nodes = (this.formData.schema_nodes || []).filter((node, index) => index !== this.schemaNode - 1);
+        
+        this.schemaNode = 0;
+        this.handleFieldChange({ field: 'schema_nodes', value: nodes });
+        this.renderForm('schema');
+    }
+    
+    /**
+     * Replace the schema nodes of the page with pasted JSON-LD
+     */
+    handleImportJsonLd() {
+        const inputId = 'importJsonLdInput';
+        
+        this.modal.show({
+            title: 'Import JSON-LD',
+            size: 'large',
+            content: `
+                <p>Paste JSON-LD or the &lt;script type="application/ld+json"&gt; tags holding it. Properties without a field are kept in each node's Additional Properties.</p>
+                <textarea id="${inputId}" class="form-textarea code-input" rows="12"
+                    placeholder='{ "@context": "https://schema.org", "@type": "Organization", ... }'></textarea>
+            `,
+            buttons: [
+                {
+                    text: 'Cancel',
+                    className: 'btn-secondary',
+                    onClick: () => true
+                },
+                {
+                    text: 'Import',
+                    icon: 'fas fa-file-import',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        const result = this.schemaImporter.parse(document.getElementById(inputId).value);
+                        const { breadcrumbs, ...nodeData } = result.data;
+                        const count = (nodeData.schema_type ? 1 : 0) + (nodeData.schema_nodes || []).length;
+                        
+                        if (count === 0 && !breadcrumbs) {
+                            this.toast.show('No supported JSON-LD nodes found', 'warning');
+                            if (result.unrecognized.length > 0) this.showImportReport(result.unrecognized);
+                            return false;
+                        }
+                        
+                        const apply = () => {
+                            // Imported breadcrumbs replace the page's; other page-level fields stay
+                            const kept = _.omit(this.formData, [...this.metaGenerator.schemaNodeFields, 'schema_nodes']);
+                            const data = { ...kept, ...nodeData };
+                            if (breadcrumbs) data.breadcrumbs = breadcrumbs;
+                            
+                            this.schemaNode = 0;
+                            this.applyFormData(data);
+                            this.toast.show(`Imported ${count} schema node${count === 1 ? '' : 's'}${breadcrumbs ? ' and breadcrumbs' : ''}`, 'success');
+                            
+                            if (result.unrecognized.length > 0) {
+                                this.showImportReport(result.unrecognized);
+                            }
+                        };
+                        
+                        if (this.formData.schema_type || (this.formData.schema_nodes || []).length > 0) {
+                            this.modal.confirm({
+                                title: 'Replace Schema Nodes',
+                                message: 'Replace the schema nodes of this page with the imported JSON-LD?',
+                                confirmText: 'Replace',
+                                onConfirm: apply
+                            });
+                        } else {
+                            apply();
+                        }
+                        
+                        return true;
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Values edited by the current form: site defaults, an added schema node or the page
+     */
+    getFormValues() {
+        if (this.currentCategory === 'site') {
+            return this.workspace.getDefaults();
+        }
+        
+        if (this.currentCategory === 'schema' && this.schemaNode > 0) {
+            return this.formData.schema_nodes[this.schemaNode - 1];
+        }
+        
+        return this.formData;
+    }
+    
+    /**
+     * Get category definition
+     */
+    getCategory(category) {
+        return category === 'site' ? siteCategory : formCategories[category];
     }
     
     /**
      * Attach Form Listeners
      */
     attachFormListeners(container) {
-        const inputs = container.querySelectorAll('input, textarea, select');
+        const inputs = container.querySelectorAll('input:not([data-override]), textarea, select');
         
         inputs.forEach(input => {
             const eventType = input.type === 'checkbox' || input.type === 'radio' 
@@ -184,10 +845,14 @@ class MetaTagsApp {
                 : 'input';
             
             input.addEventListener(eventType, (e) => {
-                const field = e.target.name;
-                const value = e.target.type === 'checkbox' 
-                    ? e.target.checked 
-                    : e.target.value;
+                // Duration pickers combine their hours and minutes inputs into one value
+                const duration = e.target.dataset.duration;
+                const field = duration || e.target.name;
+                const value = duration
+                    ? this.formRenderer.readDuration(e.target.closest('.duration-picker'))
+                    : e.target.type === 'checkbox'
+                        ? e.target.checked
+                        : e.target.value;
                 
                 this.eventBus.emit('formFieldChanged', { field, value });
             });
@@ -203,50 +868,301 @@ class MetaTagsApp {
      * Handle Field Change
      */
     handleFieldChange({ field, value }) {
-        // Update form data
-        this.formData[field] = value;
+        if (this.currentCategory === 'site') {
+            this.handleDefaultChange({ field, value });
+            return;
+        }
+        
+        // Fields of an added schema node live in schema_nodes
+        const path = this.currentCategory === 'schema' && this.schemaNode > 0
+            ? `schema_nodes.${this.schemaNode - 1}.${field}`
+            : field;
+        
+        // Update a copy of the form data (repeater sub-fields use paths like icons.0.src),
+        // so the previous value stays intact in the undo history
+        const data = _.cloneDeep(this.formData);
+        _.set(data, path, value);
+        
+        // A newly picked schema type may start from values the page already has (e.g. a video from og:video)
+        if (field === 'schema_type') {
+            const node = this.schemaNode > 0 ? data.schema_nodes[this.schemaNode - 1] : data;
+            Object.assign(node, this.metaGenerator.getSchemaPrefill(value, node, this.getResolvedData()));
+        }
+        
+        this.formData = data;
         
-        // Update state
-        this.state.set('formData', this.formData);
+        // Update state; typing in one field becomes a single undo step
+        this.state.set('formData', data, { group: path });
+        
+        // Show or hide the fields that depend on this one (e.g. Product fields for schema_type)
+        if (this.getCategory(this.currentCategory).fields.some(item => item.condition && item.condition.field === field)) {
+            this.renderForm(this.currentCategory);
+        }
         
         // Generate and update preview
         this.updateCodeOutput();
         this.updatePreview();
         this.updateStats();
+        this.updateFormNotices();
     }
     
     /**
-     * Validate Field
+     * Handle a change to a site-wide default
      */
-    validateField(field) {
-        const validation = this.validator.validateField(field);
+    handleDefaultChange({ field, value }) {
+        const defaults = _.cloneDeep(this.workspace.getDefaults());
         
-        if (!validation.valid) {
-            this.showFieldError(field, validation.error);
+        // Cleared defaults stop being inherited
+        if (value === '' || value === null || value === undefined) {
+            _.unset(defaults, field);
         } else {
-            this.clearFieldError(field);
+            _.set(defaults, field, value);
         }
+        
+        this.workspace.setDefaults(defaults);
+        this.updateCodeOutput();
+        this.updatePreview();
+        this.updateStats();
     }
     
     /**
-     * Show Field Error
+     * Switch a field between the site default and a page value
      */
-    showFieldError(field, message) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'form-error';
-        errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
-        
-        const existingError = field.parentElement.querySelector('.form-error');
-        if (existingError) {
-            existingError.remove();
+    setFieldOverride(name, enabled) {
+        if (enabled) {
+            // Start from the inherited value
+            this.handleFieldChange({ field: name, value: this.workspace.getDefaults()[name] });
+            this.renderForm(this.currentCategory);
+        } else {
+            this.applyFormData(_.omit(this.formData, name));
         }
-        
-        field.parentElement.appendChild(errorDiv);
-        field.classList.add('error');
     }
     
     /**
-     * Clear Field Error
+     * Handle Undo
+     */
+    handleUndo() {
+        if (this.state.undo()) {
+            this.syncFormData();
+        }
+    }
+    
+    /**
+     * Handle Redo
+     */
+    handleRedo() {
+        if (this.state.redo()) {
+            this.syncFormData();
+        }
+    }
+    
+    /**
+     * Refresh the UI from the form data held in state
+     */
+    syncFormData() {
+        this.formData = this.state.get('formData') || {};
+        this.renderForm(this.currentCategory);
+        this.updateCodeOutput();
+        this.updatePreview();
+        this.updateStats();
+        this.updateHistoryButtons();
+    }
+    
+    /**
+     * Enable the undo/redo buttons when there is history
+     */
+    updateHistoryButtons() {
+        document.getElementById('undoBtn').disabled = !this.state.canUndo();
+        document.getElementById('redoBtn').disabled = !this.state.canRedo();
+    }
+    
+    /**
+     * Page values with the site defaults applied
+     */
+    getResolvedData(data = this.formData) {
+        return this.metaGenerator.resolveValues(data, this.workspace.getDefaults());
+    }
+    
+    /**
+     * Find a field definition in the current category
+     */
+    getFieldDefinition(name) {
+        const categoryData = this.getCategory(this.currentCategory);
+        return categoryData ? categoryData.fields.find(field => field.name === name) : null;
+    }
+    
+    /**
+     * Add a row to a repeater field
+     */
+    addRepeaterItem(name) {
+        const field = this.getFieldDefinition(name);
+        if (!field) return;
+        
+        const items = [...(this.getFormValues()[name] || []), this.formRenderer.createRepeaterItem(field)];
+        this.handleFieldChange({ field: name, value: items });
+        this.renderForm(this.currentCategory);
+    }
+    
+    /**
+     * Remove a row from a repeater field
+     */
+    removeRepeaterItem(name, index) {
+        const items = (this.getFormValues()[name] || []).filter((item, i) => i !== index);
+        this.handleFieldChange({ field: name, value: items });
+        this.renderForm(this.currentCategory);
+    }
+    
+    /**
+     * Update notices for the current category
+     */
+    updateFormNotices() {
+        const container = document.getElementById('formNotices');
+        if (!container) return;
+        
+        const provider = this.noticeProviders[this.currentCategory];
+        const notices = provider ? provider(this.getResolvedData()) : [];
+        const icons = {
+            error: 'fa-times-circle',
+            warning: 'fa-exclamation-triangle',
+            info: 'fa-info-circle'
+        };
+        
+        container.innerHTML = notices.map(notice => `
+            <div class="notice notice-${notice.type}">
+                <i class="fas ${icons[notice.type]}"></i>
+                <span>${this.escapeHtml(notice.message)}</span>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * robots.txt validation and meta conflict notices
+     */
+    getRobotsNotices(data) {
+        if (!this.robotsTxtGenerator.hasRobotsTxt(data)) {
+            return [];
+        }
+        
+        const { errors, warnings } = this.robotsTxtGenerator.validate(data);
+        const conflicts = this.robotsTxtGenerator.findConflicts(data);
+        const notices = [
+            ...errors.map(message => ({ type: 'error', message: `robots.txt: ${message}` })),
+            ...conflicts.map(message => ({ type: 'warning', message })),
+            ...warnings.map(message => ({ type: 'info', message: `robots.txt: ${message}` }))
+        ];
+        
+        if (!this.robotsTxtGenerator.getPagePath(data)) {
+            notices.push({ type: 'info', message: 'Set a canonical URL to check robots.txt against this page' });
+        }
+        
+        return notices;
+    }
+    
+    /**
+     * Manifest validation notices
+     */
+    getManifestNotices(data) {
+        if (!this.manifestGenerator.hasManifest(data)) {
+            return [];
+        }
+        
+        const manifest = this.manifestGenerator.generate(data);
+        const { errors, warnings } = this.manifestGenerator.validate(manifest);
+        
+        return [
+            ...errors.map(message => ({ type: 'error', message: `Manifest: ${message}` })),
+            ...warnings.map(message => ({ type: 'warning', message: `Manifest: ${message}` }))
+        ];
+    }
+    
+    /**
+     * Rich result eligibility notices for the schema nodes of the page
+     */
+    getStructuredDataNotices(data) {
+        const nodes = this.metaGenerator.buildSchemas(data);
+        const schemaNodes = nodes.filter(node => !node.pageLevel);
+        const notices = [];
+        
+        nodes.forEach(node => {
+            const { errors, warnings } = this.validator.validateSchemaNode(node);
+            const prefix = !node.pageLevel && schemaNodes.length > 1
+                ? `${schemaNodes.indexOf(node) + 1}. ${node.type}`
+                : node.type;
+            
+            notices.push(
+                ...errors.map(message => ({ type: 'error', message: `${prefix}: ${message}` })),
+                ...warnings.map(message => ({ type: 'warning', message: `${prefix}: ${message}` }))
+            );
+        });
+        
+        const graph = this.validator.validateSchemaGraph(nodes);
+        notices.unshift(...graph.errors.map(message => ({ type: 'error', message })));
+        
+        return notices;
+    }
+    
+    /**
+     * Structured data health of a page's data, used to weigh the schema part of the SEO score
+     * Cached per data object, so it is only validated again once the page or the site defaults change
+     */
+    getSchemaHealth(data = this.formData) {
+        const defaults = this.workspace.getDefaults();
+        const cached = this.schemaHealth.get(data);
+        
+        if (cached && cached.defaults === defaults) {
+            return cached.health;
+        }
+        
+        const health = this.validator.getStructuredDataHealth(this.metaGenerator.buildSchemas(this.getResolvedData(data)));
+        
+        this.schemaHealth.set(data, { defaults, health });
+        return health;
+    }
+    
+    /**
+     * browserconfig.xml notices
+     */
+    getBrowserConfigNotices(data) {
+        const { errors, warnings } = this.browserConfigGenerator.validate(data);
+        
+        return [
+            ...errors.map(message => ({ type: 'error', message: `browserconfig.xml: ${message}` })),
+            ...warnings.map(message => ({ type: 'warning', message: `browserconfig.xml: ${message}` }))
+        ];
+    }
+    
+    /**
+     * Validate Field
+     */
+    validateField(field) {
+        const validation = this.validator.validateField(field);
+        
+        if (!validation.valid) {
+            this.showFieldError(field, validation.error);
+        } else {
+            this.clearFieldError(field);
+        }
+    }
+    
+    /**
+     * Show Field Error
+     */
+    showFieldError(field, message) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'form-error';
+        errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
+        
+        const existingError = field.parentElement.querySelector('.form-error');
+        if (existingError) {
+            existingError.remove();
+        }
+        
+        field.parentElement.appendChild(errorDiv);
+        field.classList.add('error');
+    }
+    
+    /**
+     * Clear Field Error
      */
     clearFieldError(field) {
         const errorDiv = field.parentElement.querySelector('.form-error');
@@ -260,25 +1176,35 @@ class MetaTagsApp {
      * Handle Form Data Change
      */
     handleFormDataChange(data) {
-        // Save to localStorage
-        this.storage.save('metaFormData', data);
+        // Store on the active page (persisted by the workspace)
+        this.workspace.setPageData(this.workspace.getActive().id, data);
     }
     
     /**
      * Update Code Output
      */
     updateCodeOutput() {
-        const metaTags = this.metaGenerator.generate(this.formData);
+        const format = document.getElementById('outputFormat').value;
         const codeOutput = document.getElementById('codeOutput');
         
-        codeOutput.textContent = metaTags;
+        codeOutput.textContent = this.getFormattedOutput(format);
+        codeOutput.className = `language-${this.outputFormatter.getFormat(format).language}`;
         
         // Highlight code
         if (window.hljs) {
+            delete codeOutput.dataset.highlighted;
             window.hljs.highlightElement(codeOutput);
         }
     }
     
+    /**
+     * Get generated tags in the requested output format
+     */
+    getFormattedOutput(format) {
+        const tags = this.metaGenerator.generateTags(this.formData, this.workspace.getDefaults());
+        return this.outputFormatter.format(tags, format);
+    }
+    
     /**
      * Update Preview
      */
@@ -286,7 +1212,7 @@ class MetaTagsApp {
         const previewType = document.getElementById('previewType').value;
         const previewContainer = document.getElementById('livePreview');
         
-        const previewHtml = this.preview.generate(this.formData, previewType);
+        const previewHtml = this.preview.generate(this.getResolvedData(), previewType);
         previewContainer.innerHTML = previewHtml;
     }
     
@@ -294,7 +1220,8 @@ class MetaTagsApp {
      * Update Statistics
      */
     updateStats() {
-        const stats = this.metaGenerator.getStats(this.formData);
+        const data = this.getResolvedData();
+        const stats = this.metaGenerator.getStats(data, this.getSchemaHealth());
         const statsContainer = document.getElementById('metaStats');
         
         statsContainer.innerHTML = `
@@ -321,18 +1248,17 @@ class MetaTagsApp {
     handleReset() {
         this.modal.confirm({
             title: 'Reset All Data',
-            message: 'Are you sure you want to reset all form data? This action cannot be undone.',
+            message: `Are you sure you want to reset all form data of "${this.workspace.getActive().name}"? You can undo this with Ctrl+Z.`,
             confirmText: 'Reset',
             cancelText: 'Cancel',
             onConfirm: () => {
                 this.formData = {};
                 this.state.set('formData', {});
-                this.storage.clear();
                 this.renderForm(this.currentCategory);
                 this.updateCodeOutput();
                 this.updatePreview();
                 this.updateStats();
-                this.toast.show('All data has been reset', 'success');
+                this.toast.show('Page data has been reset', 'success');
             }
         });
     }
@@ -341,23 +1267,13 @@ class MetaTagsApp {
      * Handle Export
      */
     handleExport() {
-        const exportData = {
-            version: '2.0.0',
-            timestamp: new Date().toISOString(),
-            data: this.formData
-        };
+        const exportData = this.configSchema.createPageConfig(this.formData);
         
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-            type: 'application/json'
-        });
-        
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `meta-config-${Date.now()}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
+        this.downloadFile(
+            `meta-config-${Date.now()}.json`,
+            JSON.stringify(exportData, null, 2),
+            'application/json'
+        );
         this.toast.show('Configuration exported successfully', 'success');
     }
     
@@ -375,21 +1291,16 @@ class MetaTagsApp {
             
             const reader = new FileReader();
             reader.onload = (event) => {
+                let data;
+                
                 try {
-                    const data = JSON.parse(event.target.result);
-                    
-                    if (data.data) {
-                        this.formData = data.data;
-                        this.state.set('formData', data.data);
-                        this.renderForm(this.currentCategory);
-                        this.updateCodeOutput();
-                        this.updatePreview();
-                        this.updateStats();
-                        this.toast.show('Configuration imported successfully', 'success');
-                    }
+                    data = JSON.parse(event.target.result);
                 } catch (error) {
                     this.toast.show('Invalid configuration file', 'error');
+                    return;
                 }
+                
+                this.importConfig(data);
             };
             
             reader.readAsText(file);
@@ -398,6 +1309,738 @@ class MetaTagsApp {
         input.click();
     }
     
+    /**
+     * Migrate, validate and apply an imported configuration file
+     */
+    importConfig(raw) {
+        const { kind, config, report } = this.configSchema.import(raw);
+        const upgraded = report.migratedFrom ? ` (upgraded from ${report.migratedFrom})` : '';
+        
+        if (report.errors.length > 0) {
+            this.showConfigReport('Configuration not imported', report);
+            return;
+        }
+        
+        if (kind === 'workspace') {
+            this.importWorkspace(config, report);
+            return;
+        }
+        
+        const apply = () => {
+            this.applyFormData(config.data);
+            this.toast.show(`Configuration imported successfully${upgraded}`, 'success');
+        };
+        
+        if (this.configSchema.hasIssues(report)) {
+            this.showConfigReport('Review Import', report, apply);
+        } else {
+            apply();
+        }
+    }
+    
+    /**
+     * Show what an import upgraded, renamed or dropped
+     */
+    showConfigReport(title, report, onConfirm = null, options = {}) {
+        const buttons = onConfirm
+            ? [
+                { text: 'Cancel', className: 'btn-secondary', onClick: () => true },
+                {
+                    text: options.confirmText || 'Import',
+                    icon: 'fas fa-file-import',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        onConfirm();
+                        return true;
+                    }
+                }
+            ]
+            : [{ text: 'OK', className: 'btn-primary', onClick: () => true }];
+        
+        this.modal.show({
+            title,
+            size: 'large',
+            content: `${options.message ? `<p>${options.message}</p>` : ''}${this.renderConfigReport(report)}`,
+            buttons
+        });
+    }
+    
+    /**
+     * Render an import report
+     */
+    renderConfigReport(report) {
+        const items = [
+            ...report.errors.map(message => ({ markup: message, reason: 'Error' })),
+            ...report.renamed.map(({ from, to }) => ({ markup: `${from} → ${to}`, reason: 'Renamed field' })),
+            ...report.unknown.map(field => ({ markup: field, reason: 'Unknown field, skipped' })),
+            ...report.invalid.map(({ field, reason }) => ({ markup: field, reason: `Invalid value (${reason}), skipped` }))
+        ];
+        
+        const version = report.migratedFrom
+            ? `<p>The file was upgraded from version ${this.escapeHtml(report.migratedFrom)} to ${this.configSchema.version}.</p>`
+            : '';
+        
+        if (items.length === 0) {
+            return version;
+        }
+        
+        return `
+            ${version}
+            <ul class="import-report">
+                ${items.map(item => `
+                    <li>
+                        <code>${this.escapeHtml(item.markup)}</code>
+                        <span class="import-report-reason">${this.escapeHtml(item.reason)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Replace all pages with an exported workspace
+     */
+    importWorkspace(data, report) {
+        const count = this.workspace.getPages().length;
+        const dropped = this.getDroppedSnapshotPages(data);
+        const snapshotWarning = dropped.length > 0 ? `
+            <div class="notice notice-warning">
+                <i class="fas fa-exclamation-triangle"></i>
+                <span>Snapshots of ${dropped.length} page${dropped.length === 1 ? '' : 's'} not in the file
+                    (${dropped.map(page => `"${this.escapeHtml(page.name)}"`).join(', ')}) will be deleted. This cannot be undone.</span>
+            </div>
+        ` : '';
+        
+        this.modal.show({
+            title: 'Import Workspace',
+            size: this.configSchema.hasIssues(report) ? 'large' : 'medium',
+            content: `
+                <p>Replace all ${count} page${count === 1 ? '' : 's'} with the ${data.pages.length} imported page${data.pages.length === 1 ? '' : 's'}?</p>
+                ${snapshotWarning}
+                ${this.renderConfigReport(report)}
+            `,
+            buttons: [
+                { text: 'Cancel', className: 'btn-secondary', onClick: () => true },
+                {
+                    text: 'Replace',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        this.replaceWorkspace(data);
+                        return true;
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Current pages with snapshots that an imported workspace does not bring back
+     */
+    getDroppedSnapshotPages(data) {
+        const importedIds = data.pages.map(page => page.id);
+        
+        return this.workspace.getPages()
+            .filter(page => !importedIds.includes(page.id) && this.snapshots.list(page.id).length > 0);
+    }
+    
+    /**
+     * Swap in an imported workspace
+     */
+    replaceWorkspace(data) {
+        // Snapshots of pages that do not come back would be unreachable
+        this.getDroppedSnapshotPages(data).forEach(page => this.snapshots.removePage(page.id));
+        
+        this.workspace.replace(data);
+        this.selectedPages.clear();
+        this.histories.clear();
+        this.state.swapHistory();
+        this.loadActivePage();
+        this.toast.show('Workspace imported successfully', 'success');
+    }
+    
+    /**
+     * Handle Paste HTML
+     */
+    handlePasteHtml() {
+        const inputId = 'pasteHtmlInput';
+        
+        this.modal.show({
+            title: 'Import from HTML',
+            size: 'large',
+            content: `
+                <p>Paste a &lt;head&gt; snippet or a full HTML document. Recognized tags replace the current form data.</p>
+                <textarea id="${inputId}" class="form-textarea code-input" rows="12"
+                    placeholder="&lt;title&gt;My Page&lt;/title&gt;"></textarea>
+            `,
+            buttons: [
+                {
+                    text: 'Cancel',
+                    className: 'btn-secondary',
+                    onClick: () => true
+                },
+                {
+                    text: 'Import',
+                    icon: 'fas fa-file-import',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        const html = document.getElementById(inputId).value;
+                        const result = this.headImporter.parse(html);
+                        const imported = Object.keys(result.data).length;
+                        
+                        if (imported === 0) {
+                            this.toast.show('No supported tags found in the pasted HTML', 'warning');
+                            return false;
+                        }
+                        
+                        this.applyFormData(result.data);
+                        this.toast.show(`Imported ${imported} field${imported === 1 ? '' : 's'} from HTML`, 'success');
+                        
+                        if (result.unrecognized.length > 0) {
+                            this.showImportReport(result.unrecognized);
+                        }
+                        
+                        return true;
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Show tags skipped by the HTML importer
+     */
+    showImportReport(unrecognized) {
+        const items = unrecognized.map(item => `
+            <li>
+                <code>${this.escapeHtml(item.markup)}</code>
+                <span class="import-report-reason">${this.escapeHtml(item.reason)}</span>
+            </li>
+        `).join('');
+        
+        this.modal.show({
+            title: `${unrecognized.length} tag${unrecognized.length === 1 ? ' was' : 's were'} not imported`,
+            size: 'large',
+            content: `<ul class="import-report">${items}</ul>`,
+            buttons: [
+                {
+                    text: 'OK',
+                    className: 'btn-primary',
+                    onClick: () => true
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Replace form data and refresh the UI
+     */
+    applyFormData(data) {
+        this.formData = data;
+        this.state.set('formData', data);
+        this.renderForm(this.currentCategory);
+        this.updateCodeOutput();
+        this.updatePreview();
+        this.updateStats();
+    }
+    
+    /**
+     * Create a share link for the current page
+     */
+    async handleShareLink() {
+        let url;
+        
+        try {
+            // Inherited site defaults travel with the page, so the link renders the same tags anywhere
+            url = await this.shareLink.createUrl(this.getResolvedData());
+        } catch (error) {
+            this.toast.show(`Failed to create share link: ${error.message}`, 'error');
+            return;
+        }
+        
+        const modal = this.modal.show({
+            title: 'Share Link',
+            size: 'large',
+            content: `
+                <p>Anyone opening this link gets the current values of this page, including the site defaults it inherits.</p>
+                <input type="text" class="form-input" id="shareLinkUrl" readonly value="${this.escapeHtml(url)}">
+            `,
+            buttons: [
+                { text: 'Close', className: 'btn-secondary', onClick: () => true },
+                {
+                    text: 'Copy Link',
+                    icon: 'fas fa-copy',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        navigator.clipboard.writeText(url).then(() => {
+                            this.toast.show('Share link copied to clipboard', 'success');
+                        }).catch(() => {
+                            this.toast.show('Failed to copy link', 'error');
+                        });
+                        return true;
+                    }
+                }
+            ]
+        });
+        
+        modal.querySelector('#shareLinkUrl').select();
+    }
+    
+    /**
+     * Open the config carried in the URL hash, if any
+     */
+    async openShareLink() {
+        const value = this.shareLink.getHashValue();
+        if (!value) return;
+        
+        // Drop the hash so a reload doesn't apply the link again
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        
+        const { kind, config, report } = await this.shareLink.decode(value);
+        
+        if (report.errors.length === 0 && kind !== 'page') {
+            report.errors.push('Share links hold a single page');
+        }
+        
+        if (report.errors.length > 0) {
+            this.showConfigReport('Share link not opened', report);
+            return;
+        }
+        
+        const apply = () => {
+            this.applyFormData(config.data);
+            this.toast.show('Shared configuration opened', 'success');
+        };
+        
+        const overwrites = !_.isEmpty(this.formData) && !_.isEqual(this.formData, config.data);
+        
+        if (overwrites || this.configSchema.hasIssues(report)) {
+            const page = this.workspace.getActive();
+            
+            this.showConfigReport('Open Share Link', report, apply, {
+                confirmText: 'Open',
+                message: overwrites
+                    ? `This replaces the current values of "${this.escapeHtml(page.name)}". You can undo this with Ctrl+Z.`
+                    : 'Some values in the link were skipped.'
+            });
+        } else {
+            apply();
+        }
+    }
+    
+    /**
+     * Handle Snapshots
+     */
+    handleSnapshots() {
+        const page = this.workspace.getActive();
+        
+        const modal = this.modal.show({
+            title: `Snapshots of "${page.name}"`,
+            size: 'large',
+            content: '<div class="snapshot-panel"></div>',
+            buttons: [
+                {
+                    text: 'Close',
+                    className: 'btn-secondary',
+                    onClick: () => true
+                }
+            ]
+        });
+        
+        this.renderSnapshotPanel(modal);
+        
+        modal.addEventListener('click', (e) => {
+            const saveBtn = e.target.closest('[data-snapshot-save]');
+            const restoreBtn = e.target.closest('[data-snapshot-restore]');
+            const deleteBtn = e.target.closest('[data-snapshot-delete]');
+            const compareBtn = e.target.closest('[data-snapshot-compare]');
+            
+            if (saveBtn) {
+                const snapshot = this.snapshots.create(page.id, modal.querySelector('#snapshotName').value, this.formData);
+                this.toast.show(`Snapshot "${snapshot.name}" saved`, 'success');
+                this.renderSnapshotPanel(modal);
+            } else if (restoreBtn) {
+                const snapshot = this.snapshots.get(page.id, restoreBtn.dataset.snapshotRestore);
+                this.applyFormData(_.cloneDeep(snapshot.data));
+                this.modal.close(modal);
+                this.toast.show(`Restored snapshot "${snapshot.name}" (Ctrl+Z to undo)`, 'success');
+            } else if (deleteBtn) {
+                const snapshot = this.snapshots.get(page.id, deleteBtn.dataset.snapshotDelete);
+                this.modal.confirm({
+                    title: 'Delete Snapshot',
+                    message: `Delete snapshot "${snapshot.name}"? This action cannot be undone.`,
+                    confirmText: 'Delete',
+                    onConfirm: () => {
+                        this.snapshots.remove(page.id, snapshot.id);
+                        this.renderSnapshotPanel(modal);
+                    }
+                });
+            } else if (compareBtn) {
+                this.showSnapshotDiff(
+                    modal.querySelector('#snapshotFrom').value,
+                    modal.querySelector('#snapshotTo').value
+                );
+            }
+        });
+    }
+    
+    /**
+     * Render the snapshot list and compare controls
+     */
+    renderSnapshotPanel(modal) {
+        const snapshots = this.snapshots.list(this.workspace.getActive().id);
+        const choices = [{ id: 'current', name: 'Current values' }, ...snapshots];
+        const renderOptions = (selected) => choices.map(choice => `
+            <option value="${choice.id}" ${choice.id === selected ? 'selected' : ''}>${this.escapeHtml(choice.name)}</option>
+        `).join('');
+        
+        const rows = snapshots.map(snapshot => `
+            <li class="snapshot-item">
+                <div>
+                    <div class="snapshot-name">${this.escapeHtml(snapshot.name)}</div>
+                    <div class="snapshot-meta">
+                        ${new Date(snapshot.createdAt).toLocaleString()} &middot; ${Object.keys(snapshot.data).length} fields
+                    </div>
+                </div>
+                <div class="snapshot-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-snapshot-restore="${snapshot.id}">
+                        <i class="fas fa-clock-rotate-left"></i> Restore
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-snapshot-delete="${snapshot.id}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </li>
+        `).join('');
+        
+        modal.querySelector('.snapshot-panel').innerHTML = `
+            <div class="snapshot-create">
+                <input type="text" id="snapshotName" class="form-input" placeholder="e.g. before launch">
+                <button type="button" class="btn btn-primary btn-sm" data-snapshot-save>
+                    <i class="fas fa-camera"></i> Save Snapshot
+                </button>
+            </div>
+            ${snapshots.length === 0 ? '<p class="snapshot-empty">No snapshots of this page yet.</p>' : `
+                <ul class="snapshot-list">${rows}</ul>
+                <div class="snapshot-compare">
+                    <select id="snapshotFrom" class="form-select">${renderOptions(snapshots[0].id)}</select>
+                    <i class="fas fa-arrow-right"></i>
+                    <select id="snapshotTo" class="form-select">${renderOptions('current')}</select>
+                    <button type="button" class="btn btn-secondary btn-sm" data-snapshot-compare>
+                        <i class="fas fa-code-compare"></i> Compare
+                    </button>
+                </div>
+            `}
+        `;
+    }
+    
+    /**
+     * Get the data compared for a snapshot id ('current' for the page itself)
+     */
+    getSnapshotSource(id) {
+        if (id === 'current') {
+            return { name: 'Current values', data: this.formData, isSnapshot: false };
+        }
+        
+        const snapshot = this.snapshots.get(this.workspace.getActive().id, id);
+        return { name: snapshot.name, data: snapshot.data, isSnapshot: true };
+    }
+    
+    /**
+     * Show field and generated tag differences between two snapshots
+     */
+    showSnapshotDiff(fromId, toId) {
+        const from = this.getSnapshotSource(fromId);
+        const to = this.getSnapshotSource(toId);
+        const defaults = this.workspace.getDefaults();
+        const fields = this.snapshots.diffFields(from.data, to.data);
+        const lines = this.snapshots.diffLines(
+            this.metaGenerator.generate(from.data, defaults),
+            this.metaGenerator.generate(to.data, defaults)
+        );
+        
+        const formatValue = (value) => {
+            if (value === undefined) return '<span class="snapshot-unset">not set</span>';
+            return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        };
+        const pickButton = (source, side, field) => source.isSnapshot ? `
+            <button type="button" class="btn btn-secondary btn-sm" data-pick-side="${side}" data-pick-field="${field}"
+                title="Apply this value to the current page">Use</button>
+        ` : '';
+        
+        const rows = fields.map(change => `
+            <tr class="diff-${change.status}">
+                <td><strong>${this.escapeHtml(this.getFieldLabel(change.field))}</strong><br><code>${change.field}</code></td>
+                <td>${formatValue(change.before)} ${pickButton(from, 'from', change.field)}</td>
+                <td>${formatValue(change.after)} ${pickButton(to, 'to', change.field)}</td>
+            </tr>
+        `).join('');
+        
+        const markers = { same: ' ', added: '+', removed: '-' };
+        const tagDiff = lines.map(({ type, line }) => (
+            `<span class="diff-line diff-${type}">${markers[type]} ${this.escapeHtml(line)}</span>`
+        )).join('\n');
+        
+        const modal = this.modal.show({
+            title: `${from.name} → ${to.name}`,
+            size: 'large',
+            content: fields.length === 0 ? '<p>No differences.</p>' : `
+                <h4>Fields</h4>
+                <table class="snapshot-diff">
+                    <thead>
+                        <tr><th>Field</th><th>${this.escapeHtml(from.name)}</th><th>${this.escapeHtml(to.name)}</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <h4>Generated tags</h4>
+                <pre class="snapshot-tag-diff">${tagDiff}</pre>
+            `,
+            buttons: [
+                {
+                    text: 'Close',
+                    className: 'btn-secondary',
+                    onClick: () => true
+                }
+            ]
+        });
+        
+        modal.addEventListener('click', (e) => {
+            const pickBtn = e.target.closest('[data-pick-field]');
+            if (!pickBtn) return;
+            
+            const source = pickBtn.dataset.pickSide === 'from' ? from : to;
+            this.applySnapshotField(pickBtn.dataset.pickField, source);
+            pickBtn.disabled = true;
+            pickBtn.textContent = 'Applied';
+        });
+    }
+    
+    /**
+     * Cherry-pick one field of a snapshot into the current page
+     */
+    applySnapshotField(field, source) {
+        const data = _.cloneDeep(this.formData);
+        
+        if (field in source.data) {
+            data[field] = _.cloneDeep(source.data[field]);
+        } else {
+            delete data[field];
+        }
+        
+        this.applyFormData(data);
+        this.toast.show(`${this.getFieldLabel(field)} restored from "${source.name}"`, 'success');
+    }
+    
+    /**
+     * Find the label of a field in any category
+     */
+    getFieldLabel(name) {
+        const field = Object.values(formCategories)
+            .flatMap(category => category.fields)
+            .find(definition => definition.name === name);
+        
+        return field ? field.label : name;
+    }
+    
+    /**
+     * Show how many other tabs have the workspace open
+     */
+    renderPresence(peers) {
+        const indicator = document.getElementById('tabPresence');
+        
+        indicator.hidden = peers.length === 0;
+        indicator.querySelector('span').textContent = `${peers.length} other tab${peers.length === 1 ? '' : 's'}`;
+        this.renderPageList();
+    }
+    
+    /**
+     * Merge workspace changes made in another tab
+     */
+    applyRemoteChanges({ fields, pages }) {
+        // Pending local edits go out first, so they are not diffed against the remote ones
+        this.publishWorkspace();
+        
+        const current = this.workspace.get();
+        const next = _.cloneDeep(current);
+        
+        if (pages) {
+            // Page list from the other tab: keep local data of known pages, add the new ones
+            next.pages = pages.map(page => {
+                const local = next.pages.find(item => item.id === page.id);
+                return local
+                    ? { ...local, name: page.name }
+                    : { ...this.workspace.createPage(page.name, page.data || {}), id: page.id };
+            });
+            
+            if (!next.pages.some(page => page.id === next.activePageId)) {
+                next.activePageId = next.pages[0].id;
+            }
+        }
+        
+        fields.forEach(change => {
+            const target = this.getSyncTarget(next, change.pageId);
+            if (!target) return;
+            
+            const key = `${change.pageId || 'defaults'}:${change.field}`;
+            const local = target[change.field];
+            
+            if (_.isEqual(local, change.value) || _.isEqual(local, change.base)) {
+                this.setSyncValue(target, change.field, change.value);
+                this.closeSyncConflict(key);
+            } else {
+                // Both tabs changed this field since they last agreed
+                this.showSyncConflict(key, change);
+            }
+        });
+        
+        this.commitRemote(next, current);
+    }
+    
+    /**
+     * Store a workspace received from another tab and refresh the view
+     */
+    commitRemote(next, current) {
+        if (next.activePageId !== current.activePageId) {
+            this.histories.delete(current.activePageId);
+            this.state.swapHistory(this.histories.get(next.activePageId));
+            this.histories.delete(next.activePageId);
+        }
+        
+        this.applyingRemote = true;
+        
+        try {
+            this.workspace.commit(next);
+            
+            const active = next.pages.find(page => page.id === next.activePageId);
+            const previous = current.pages.find(page => page.id === next.activePageId);
+            
+            if (!previous || !_.isEqual(previous.data, active.data) || !_.isEqual(current.defaults, next.defaults)) {
+                this.refreshActivePage();
+            }
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+    
+    /**
+     * Reload the active page without losing the focused input
+     */
+    refreshActivePage() {
+        const focused = document.activeElement && document.activeElement.name;
+        
+        this.loadActivePage();
+        
+        if (focused) {
+            const input = document.querySelector(`#formContainer [name="${focused}"]`);
+            if (input) input.focus();
+        }
+    }
+    
+    /**
+     * The values a synced field belongs to (a page's data, or the defaults)
+     */
+    getSyncTarget(workspace, pageId) {
+        if (pageId === null) return workspace.defaults;
+        
+        const page = workspace.pages.find(item => item.id === pageId);
+        return page ? page.data : null;
+    }
+    
+    /**
+     * Set or clear a synced value
+     */
+    setSyncValue(target, field, value) {
+        if (value === undefined) {
+            delete target[field];
+        } else {
+            target[field] = value;
+        }
+    }
+    
+    /**
+     * Ask which value to keep when both tabs edited the same field
+     */
+    showSyncConflict(key, change) {
+        const pending = this.syncConflicts.get(key);
+        
+        // Later edits from the other tab update the open prompt
+        if (pending) {
+            pending.change = change;
+            pending.modal.querySelector('[data-conflict-theirs]').innerHTML = this.formatSyncValue(change.value);
+            return;
+        }
+        
+        const page = change.pageId === null ? null : this.workspace.getPage(change.pageId);
+        const where = page ? `"${this.escapeHtml(page.name)}"` : 'the site defaults';
+        const conflict = { change };
+        
+        const resolve = (useTheirs) => {
+            this.syncConflicts.delete(key);
+            
+            const current = this.workspace.get();
+            const next = _.cloneDeep(current);
+            const target = this.getSyncTarget(next, conflict.change.pageId);
+            if (!target) return true;
+            
+            if (useTheirs) {
+                this.setSyncValue(target, conflict.change.field, conflict.change.value);
+                this.commitRemote(next, current);
+            } else {
+                // Send ours on top of theirs so the other tab takes it without asking
+                this.tabSync.send({
+                    type: 'changes',
+                    fields: [{ ...conflict.change, base: conflict.change.value, value: target[conflict.change.field] }],
+                    pages: null
+                });
+            }
+            
+            return true;
+        };
+        
+        conflict.modal = this.modal.show({
+            title: 'Edited in Another Tab',
+            content: `
+                <p><strong>${this.escapeHtml(this.getFieldLabel(change.field))}</strong> on ${where} was changed in another tab while you were editing it.</p>
+                <table class="snapshot-diff">
+                    <thead><tr><th>Other tab</th><th>This tab</th></tr></thead>
+                    <tbody>
+                        <tr>
+                            <td data-conflict-theirs>${this.formatSyncValue(change.value)}</td>
+                            <td>${this.formatSyncValue(this.getSyncTarget(this.workspace.get(), change.pageId)[change.field])}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            `,
+            buttons: [
+                { text: 'Keep Mine', className: 'btn-secondary', onClick: () => resolve(false) },
+                { text: 'Use Theirs', className: 'btn-primary', onClick: () => resolve(true) }
+            ],
+            onClose: () => {
+                if (this.syncConflicts.get(key) === conflict) this.syncConflicts.delete(key);
+            }
+        });
+        
+        this.syncConflicts.set(key, conflict);
+    }
+    
+    /**
+     * Close a conflict prompt that the other tab has settled
+     */
+    closeSyncConflict(key) {
+        const pending = this.syncConflicts.get(key);
+        if (!pending) return;
+        
+        this.syncConflicts.delete(key);
+        this.modal.close(pending.modal);
+    }
+    
+    /**
+     * Display a synced value
+     */
+    formatSyncValue(value) {
+        if (value === undefined || value === '') return '<span class="snapshot-unset">not set</span>';
+        return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    
     /**
      * Handle Copy Code
      */
@@ -416,7 +2059,115 @@ class MetaTagsApp {
      * Handle Download
      */
     handleDownload() {
-        const metaTags = this.metaGenerator.generate(this.formData);
+        const files = this.getDownloadableFiles();
+        
+        if (files.length === 1) {
+            this.downloadFile(files[0].filename, files[0].content, files[0].type);
+            this.toast.show(`${files[0].label} downloaded`, 'success');
+            return;
+        }
+        
+        const rows = files.map((file, index) => `
+            <li class="download-item">
+                <div>
+                    <div class="download-name"><code>${this.escapeHtml(file.filename)}</code></div>
+                    <div class="download-label">${this.escapeHtml(file.label)}</div>
+                    ${file.warning ? `<div class="download-warning">${this.escapeHtml(file.warning)}</div>` : ''}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm" data-file-index="${index}">
+                    <i class="fas fa-download"></i> Download
+                </button>
+            </li>
+        `).join('');
+        
+        const modal = this.modal.show({
+            title: 'Download Files',
+            content: `<ul class="download-list">${rows}</ul>`,
+            buttons: [
+                {
+                    text: 'Close',
+                    className: 'btn-secondary',
+                    onClick: () => true
+                },
+                {
+                    text: 'Download All',
+                    icon: 'fas fa-download',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        files.forEach(file => this.downloadFile(file.filename, file.content, file.type));
+                        this.toast.show(`${files.length} files downloaded`, 'success');
+                        return true;
+                    }
+                }
+            ]
+        });
+        
+        modal.querySelectorAll('[data-file-index]').forEach(button => {
+            button.addEventListener('click', () => {
+                const file = files[Number(button.dataset.fileIndex)];
+                this.downloadFile(file.filename, file.content, file.type);
+                this.toast.show(`${file.label} downloaded`, 'success');
+            });
+        });
+    }
+    
+    /**
+     * Collect every file the current configuration produces
+     */
+    getDownloadableFiles() {
+        const files = [this.getHeadFile(document.getElementById('outputFormat').value)];
+        const data = this.getResolvedData();
+        
+        if (this.manifestGenerator.hasManifest(data)) {
+            const manifest = this.manifestGenerator.generate(data);
+            const { errors } = this.manifestGenerator.validate(manifest);
+            
+            files.push({
+                filename: this.manifestGenerator.getFilename(data),
+                label: 'Web App Manifest',
+                type: 'application/manifest+json',
+                content: this.manifestGenerator.toJson(manifest),
+                warning: errors.length > 0 ? `${errors.length} validation error${errors.length === 1 ? '' : 's'}` : null
+            });
+        }
+        
+        if (this.browserConfigGenerator.hasBrowserConfig(data)) {
+            files.push({
+                filename: this.browserConfigGenerator.getFilename(data),
+                label: 'Windows tile configuration',
+                type: 'application/xml',
+                content: this.browserConfigGenerator.generate(data)
+            });
+        }
+        
+        if (this.robotsTxtGenerator.hasRobotsTxt(data)) {
+            files.push({
+                filename: 'robots.txt',
+                label: 'Crawler rules (serve from the site root)',
+                type: 'text/plain',
+                content: this.robotsTxtGenerator.generate(data)
+            });
+        }
+        
+        return files;
+    }
+    
+    /**
+     * Build the head snippet file in the selected output format
+     */
+    getHeadFile(format) {
+        if (format !== 'html') {
+            const { extension, label } = this.outputFormatter.getFormat(format);
+            
+            return {
+                filename: `meta-tags-${Date.now()}.${extension}`,
+                label: `${label} file`,
+                type: 'text/javascript',
+                content: this.getFormattedOutput(format)
+            };
+        }
+        
+        const metaTags = this.metaGenerator.generate(this.formData, this.workspace.getDefaults());
         const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -430,26 +2181,35 @@ ${metaTags}
 </body>
 </html>`;
         
-        const blob = new Blob([html], { type: 'text/html' });
+        return {
+            filename: `meta-tags-${Date.now()}.html`,
+            label: 'HTML file',
+            type: 'text/html',
+            content: html
+        };
+    }
+    
+    /**
+     * Trigger a file download
+     */
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
-        link.download = `meta-tags-${Date.now()}.html`;
+        link.download = filename;
         link.click();
         
         URL.revokeObjectURL(url);
-        this.toast.show('HTML file downloaded', 'success');
     }
     
     /**
      * Load Saved Data
      */
     loadSavedData() {
-        const saved = this.storage.load('metaFormData');
-        if (saved) {
-            this.formData = saved;
-            this.state.set('formData', saved);
-        }
+        this.workspace.load();
+        this.formData = this.workspace.getActive().data;
+        this.state.set('formData', this.formData, { history: false });
     }
     
     /**
@@ -457,10 +2217,23 @@ ${metaTags}
      */
     setupAutoSave() {
         setInterval(() => {
-            if (Object.keys(this.formData).length > 0) {
-                this.storage.save('metaFormData', this.formData);
-            }
+            this.workspace.save();
         }, 5000); // Auto-save every 5 seconds
+        
+        // Edits still waiting for a pause in typing
+        window.addEventListener('beforeunload', () => {
+            this.publishWorkspace();
+            this.workspace.save();
+        });
+    }
+    
+    /**
+     * Escape HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
     
     /**
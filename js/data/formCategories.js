@@ -3,6 +3,9 @@
  * Comprehensive form field definitions for all meta tag categories
  */
 
+// Schema types of the Article family; they share the article fields
+export const articleTypes = ['Article', 'BlogPosting', 'NewsArticle', 'TechArticle', 'ScholarlyArticle', 'Report', 'SocialMediaPosting'];
+
 export const formCategories = {
     basic: {
         title: 'Basic Meta Information',
@@ -47,6 +50,7 @@ export const formCategories = {
                 type: 'text',
                 placeholder: 'width=device-width, initial-scale=1.0',
                 value: 'width=device-width, initial-scale=1.0',
+                inheritable: true,
                 help: 'Controls page dimensions and scaling on mobile devices'
             },
             {
@@ -59,6 +63,7 @@ export const formCategories = {
                     { value: 'Windows-1252', label: 'Windows-1252' }
                 ],
                 value: 'UTF-8',
+                inheritable: true,
                 help: 'Character encoding for the HTML document'
             }
         ]
@@ -103,6 +108,27 @@ export const formCategories = {
                 ],
                 help: 'Specific instructions for Google crawler'
             },
+            {
+                name: 'robots_txt_groups',
+                label: 'robots.txt Rules',
+                type: 'repeater',
+                addLabel: 'Add user-agent group',
+                fields: [
+                    { name: 'user_agent', label: 'User-agent', type: 'text', placeholder: '*', value: '*' },
+                    { name: 'crawl_delay', label: 'Crawl-delay (s)', type: 'number', placeholder: '10', min: 0 },
+                    { name: 'disallow', label: 'Disallow (one per line)', type: 'textarea', placeholder: '/admin/', rows: 3 },
+                    { name: 'allow', label: 'Allow (one per line)', type: 'textarea', placeholder: '/admin/public/', rows: 3 }
+                ],
+                help: 'Crawl rules per user-agent; checked against the robots meta tags above'
+            },
+            {
+                name: 'robots_txt_sitemaps',
+                label: 'robots.txt Sitemaps',
+                type: 'textarea',
+                placeholder: 'https://example.com/sitemap.xml',
+                rows: 2,
+                help: 'Absolute sitemap URLs, one per line'
+            },
             {
                 name: 'language',
                 label: 'Content Language',
@@ -122,7 +148,7 @@ export const formCategories = {
                 label: 'Geographic Position',
                 type: 'text',
                 placeholder: '37.7749;-122.4194',
-                help: 'Latitude and longitude separated by semicolon'
+                help: 'Latitude and longitude separated by semicolon (also used as the Local Business coordinates)'
             },
             {
                 name: 'icbm',
@@ -214,6 +240,7 @@ export const formCategories = {
                 label: 'OG Site Name',
                 type: 'text',
                 placeholder: 'Your Site Name',
+                inheritable: true,
                 help: 'Name of your website'
             },
             {
@@ -243,6 +270,7 @@ export const formCategories = {
                 label: 'Facebook App ID',
                 type: 'text',
                 placeholder: '123456789',
+                inheritable: true,
                 help: 'Facebook App ID for Facebook Insights'
             },
             {
@@ -309,6 +337,7 @@ export const formCategories = {
                 label: 'Twitter Site',
                 type: 'text',
                 placeholder: '@username',
+                inheritable: true,
                 help: 'Twitter @username of website'
             },
             {
@@ -384,13 +413,23 @@ export const formCategories = {
                     { value: 'Article', label: 'Article' },
                     { value: 'BlogPosting', label: 'Blog Posting' },
                     { value: 'NewsArticle', label: 'News Article' },
+                    { value: 'TechArticle', label: 'Tech Article' },
+                    { value: 'ScholarlyArticle', label: 'Scholarly Article' },
+                    { value: 'Report', label: 'Report' },
+                    { value: 'SocialMediaPosting', label: 'Social Media Posting' },
                     { value: 'Organization', label: 'Organization' },
                     { value: 'Person', label: 'Person' },
                     { value: 'Product', label: 'Product' },
                     { value: 'Event', label: 'Event' },
                     { value: 'Recipe', label: 'Recipe' },
+                    { value: 'FAQPage', label: 'FAQ Page' },
+                    { value: 'HowTo', label: 'How-To' },
                     { value: 'WebSite', label: 'WebSite' },
-                    { value: 'LocalBusiness', label: 'Local Business' }
+                    { value: 'LocalBusiness', label: 'Local Business' },
+                    { value: 'VideoObject', label: 'Video' },
+                    { value: 'JobPosting', label: 'Job Posting' },
+                    { value: 'Course', label: 'Course' },
+                    { value: 'SoftwareApplication', label: 'Software Application' }
                 ],
                 help: 'Type of structured data to implement'
             },
@@ -422,6 +461,24 @@ export const formCategories = {
                 placeholder: 'https://example.com/image.jpg',
                 help: 'Representative image'
             },
+            {
+                name: 'schema_id',
+                label: 'Node ID',
+                type: 'text',
+                placeholder: '#organization',
+                help: 'Identifier other nodes use to reference this one; defaults to # and the type, e.g. #article'
+            },
+            {
+                name: 'schema_references',
+                label: 'References',
+                type: 'repeater',
+                addLabel: 'Add reference',
+                fields: [
+                    { name: 'property', label: 'Property', type: 'text', placeholder: 'publisher' },
+                    { name: 'target', label: 'Node ID', type: 'text', placeholder: '#organization' }
+                ],
+                help: 'Point a property at another node by its ID, e.g. an Article\'s publisher at #organization'
+            },
             {
                 name: 'schema_logo',
                 label: 'Logo URL',
@@ -435,7 +492,7 @@ export const formCategories = {
                 label: 'Telephone',
                 type: 'tel',
                 placeholder: '+1-555-555-5555',
-                condition: { field: 'schema_type', value: 'Organization' },
+                condition: { field: 'schema_type', value: ['Organization', 'LocalBusiness'] },
                 help: 'Contact telephone number'
             },
             {
@@ -456,30 +513,91 @@ export const formCategories = {
                 label: 'Headline',
                 type: 'text',
                 placeholder: 'Article headline',
-                condition: { field: 'schema_type', value: 'Article' },
-                help: 'Headline of the article'
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Headline of the article; falls back to Name'
             },
             {
                 name: 'schema_date_published',
                 label: 'Date Published',
                 type: 'datetime-local',
-                condition: { field: 'schema_type', value: 'Article' },
-                help: 'Publication date'
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Publication date; falls back to Article Published Time (Open Graph)'
             },
             {
                 name: 'schema_date_modified',
                 label: 'Date Modified',
                 type: 'datetime-local',
-                condition: { field: 'schema_type', value: 'Article' },
-                help: 'Last modification date'
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Last modification date; falls back to Article Modified Time (Open Graph)'
+            },
+            {
+                name: 'schema_authors',
+                label: 'Authors',
+                type: 'repeater',
+                addLabel: 'Add author',
+                fields: [
+                    { name: 'name', label: 'Name', type: 'text', placeholder: 'Jane Doe' },
+                    { name: 'url', label: 'Profile URL', type: 'url', placeholder: 'https://example.com/authors/jane' },
+                    {
+                        name: 'type',
+                        label: 'Type',
+                        type: 'select',
+                        value: 'Person',
+                        options: [
+                            { value: 'Person', label: 'Person' },
+                            { value: 'Organization', label: 'Organization' }
+                        ]
+                    }
+                ],
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Authors in byline order; the profile URL identifies each author'
             },
             {
-                name: 'schema_author_name',
-                label: 'Author Name',
+                name: 'schema_publisher_name',
+                label: 'Publisher Name',
                 type: 'text',
-                placeholder: 'Author name',
-                condition: { field: 'schema_type', value: 'Article' },
-                help: 'Name of the author'
+                placeholder: 'Example News',
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Leave empty to use the Site Organization'
+            },
+            {
+                name: 'schema_publisher_logo',
+                label: 'Publisher Logo',
+                type: 'url',
+                placeholder: 'https://example.com/logo.png',
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Leave empty to use the Site Organization Logo'
+            },
+            {
+                name: 'schema_article_section',
+                label: 'Article Section',
+                type: 'text',
+                placeholder: 'Technology',
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Falls back to Article Section (Open Graph)'
+            },
+            {
+                name: 'schema_word_count',
+                label: 'Word Count',
+                type: 'number',
+                min: 0,
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Number of words in the article body'
+            },
+            {
+                name: 'schema_paywalled',
+                label: 'Content is behind a paywall',
+                type: 'checkbox',
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'Marks the article as not free, so Google does not treat the hidden text as cloaking'
+            },
+            {
+                name: 'schema_paywall_selector',
+                label: 'Paywalled Section Selector',
+                type: 'text',
+                placeholder: '.paywall',
+                condition: { field: 'schema_type', value: articleTypes },
+                help: 'CSS class selector of the element holding the paywalled content'
             },
             {
                 name: 'schema_job_title',
@@ -496,6 +614,974 @@ export const formCategories = {
                 placeholder: 'Company name',
                 condition: { field: 'schema_type', value: 'Person' },
                 help: 'Organization the person works for'
+            },
+            {
+                name: 'product_brand',
+                label: 'Brand',
+                type: 'text',
+                placeholder: 'ACME',
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Brand of the product'
+            },
+            {
+                name: 'product_sku',
+                label: 'SKU',
+                type: 'text',
+                placeholder: 'ACME-TS-001',
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Merchant-specific identifier'
+            },
+            {
+                name: 'product_gtin',
+                label: 'GTIN',
+                type: 'text',
+                placeholder: '00012345600012',
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'GTIN-8, GTIN-12 (UPC), GTIN-13 (EAN) or GTIN-14 barcode number'
+            },
+            {
+                name: 'product_mpn',
+                label: 'MPN',
+                type: 'text',
+                placeholder: 'TS-001-BLK',
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Manufacturer part number'
+            },
+            {
+                name: 'product_price',
+                label: 'Price',
+                type: 'number',
+                placeholder: '19.99',
+                min: 0,
+                step: 'any',
+                condition: { field: 'schema_type', value: ['Product', 'SoftwareApplication'] },
+                help: 'Offer price, without currency symbols'
+            },
+            {
+                name: 'product_currency',
+                label: 'Currency',
+                type: 'text',
+                placeholder: 'USD',
+                maxLength: 3,
+                condition: { field: 'schema_type', value: ['Product', 'SoftwareApplication'] },
+                help: 'ISO 4217 currency code'
+            },
+            {
+                name: 'product_availability',
+                label: 'Availability',
+                type: 'select',
+                options: [
+                    { value: '', label: 'Select Availability...' },
+                    { value: 'InStock', label: 'In Stock' },
+                    { value: 'OutOfStock', label: 'Out of Stock' },
+                    { value: 'PreOrder', label: 'Pre-order' },
+                    { value: 'BackOrder', label: 'Back Order' },
+                    { value: 'LimitedAvailability', label: 'Limited Availability' },
+                    { value: 'OnlineOnly', label: 'Online Only' },
+                    { value: 'InStoreOnly', label: 'In Store Only' },
+                    { value: 'SoldOut', label: 'Sold Out' },
+                    { value: 'Discontinued', label: 'Discontinued' }
+                ],
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Stock status of the offer'
+            },
+            {
+                name: 'product_price_valid_until',
+                label: 'Price Valid Until',
+                type: 'date',
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Date after which the price is no longer valid'
+            },
+            {
+                name: 'product_seller',
+                label: 'Seller',
+                type: 'text',
+                placeholder: 'Example Store',
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Organization selling the product'
+            },
+            {
+                name: 'product_rating_value',
+                label: 'Average Rating',
+                type: 'number',
+                placeholder: '4.4',
+                min: 0,
+                step: 'any',
+                condition: { field: 'schema_type', value: ['Product', 'SoftwareApplication'] },
+                help: 'Average of all ratings'
+            },
+            {
+                name: 'product_review_count',
+                label: 'Review Count',
+                type: 'number',
+                placeholder: '89',
+                min: 0,
+                condition: { field: 'schema_type', value: ['Product', 'SoftwareApplication'] },
+                help: 'Number of reviews behind the average rating'
+            },
+            {
+                name: 'product_best_rating',
+                label: 'Best Rating',
+                type: 'number',
+                placeholder: '5',
+                min: 1,
+                condition: { field: 'schema_type', value: ['Product', 'SoftwareApplication'] },
+                help: 'Highest value of the rating scale (defaults to 5)'
+            },
+            {
+                name: 'product_reviews',
+                label: 'Reviews',
+                type: 'repeater',
+                addLabel: 'Add review',
+                fields: [
+                    { name: 'author', label: 'Author', type: 'text', placeholder: 'Jane Doe' },
+                    { name: 'rating', label: 'Rating', type: 'number', placeholder: '5', min: 0, step: 'any' },
+                    { name: 'date', label: 'Date', type: 'date' },
+                    { name: 'body', label: 'Review', type: 'textarea', placeholder: 'What the reviewer said', rows: 2 }
+                ],
+                condition: { field: 'schema_type', value: 'Product' },
+                help: 'Individual reviews; each needs an author and a rating'
+            },
+            {
+                name: 'event_start_date',
+                label: 'Start Date',
+                type: 'datetime-local',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Local start date and time of the event'
+            },
+            {
+                name: 'event_end_date',
+                label: 'End Date',
+                type: 'datetime-local',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Local end date and time of the event'
+            },
+            {
+                name: 'event_timezone',
+                label: 'Time Zone Offset',
+                type: 'text',
+                placeholder: '+01:00',
+                pattern: '^(Z|[+\\-]\\d{2}:\\d{2})$',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'UTC offset of the event dates (e.g. -05:00, or Z for UTC)'
+            },
+            {
+                name: 'event_status',
+                label: 'Event Status',
+                type: 'select',
+                options: [
+                    { value: 'EventScheduled', label: 'Scheduled' },
+                    { value: 'EventRescheduled', label: 'Rescheduled' },
+                    { value: 'EventPostponed', label: 'Postponed' },
+                    { value: 'EventMovedOnline', label: 'Moved Online' },
+                    { value: 'EventCancelled', label: 'Cancelled' }
+                ],
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Current status of the event'
+            },
+            {
+                name: 'event_previous_start_date',
+                label: 'Previous Start Date',
+                type: 'datetime-local',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Original start date of a rescheduled event'
+            },
+            {
+                name: 'event_attendance_mode',
+                label: 'Attendance Mode',
+                type: 'select',
+                options: [
+                    { value: 'OfflineEventAttendanceMode', label: 'In Person' },
+                    { value: 'OnlineEventAttendanceMode', label: 'Online' },
+                    { value: 'MixedEventAttendanceMode', label: 'Mixed (In Person and Online)' }
+                ],
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Whether the event happens in person, online or both'
+            },
+            {
+                name: 'event_venue_name',
+                label: 'Venue Name',
+                type: 'text',
+                placeholder: 'Madison Square Garden',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Name of the place where the event happens'
+            },
+            {
+                name: 'event_street',
+                label: 'Street Address',
+                type: 'text',
+                placeholder: '4 Pennsylvania Plaza',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Street address of the venue'
+            },
+            {
+                name: 'event_locality',
+                label: 'City',
+                type: 'text',
+                placeholder: 'New York',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'City of the venue'
+            },
+            {
+                name: 'event_region',
+                label: 'Region',
+                type: 'text',
+                placeholder: 'NY',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'State or region of the venue'
+            },
+            {
+                name: 'event_postal_code',
+                label: 'Postal Code',
+                type: 'text',
+                placeholder: '10001',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Postal code of the venue'
+            },
+            {
+                name: 'event_country',
+                label: 'Country',
+                type: 'text',
+                placeholder: 'US',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Country of the venue (ISO 3166-1 code)'
+            },
+            {
+                name: 'event_online_url',
+                label: 'Online Event URL',
+                type: 'url',
+                placeholder: 'https://example.com/live',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Where attendees join an online or mixed event'
+            },
+            {
+                name: 'event_organizer_name',
+                label: 'Organizer',
+                type: 'text',
+                placeholder: 'Example Events Ltd.',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Organization hosting the event'
+            },
+            {
+                name: 'event_organizer_url',
+                label: 'Organizer URL',
+                type: 'url',
+                placeholder: 'https://example.com',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Website of the organizer'
+            },
+            {
+                name: 'event_performers',
+                label: 'Performers',
+                type: 'repeater',
+                addLabel: 'Add performer',
+                fields: [
+                    { name: 'name', label: 'Name', type: 'text', placeholder: 'Performer name' },
+                    {
+                        name: 'type',
+                        label: 'Type',
+                        type: 'select',
+                        options: [
+                            { value: 'Person', label: 'Person' },
+                            { value: 'PerformingGroup', label: 'Group' }
+                        ],
+                        value: 'Person'
+                    }
+                ],
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Artists, speakers or bands performing at the event'
+            },
+            {
+                name: 'event_ticket_url',
+                label: 'Ticket URL',
+                type: 'url',
+                placeholder: 'https://example.com/tickets',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Page where tickets can be bought'
+            },
+            {
+                name: 'event_price',
+                label: 'Ticket Price',
+                type: 'number',
+                placeholder: '30',
+                min: 0,
+                step: 'any',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Lowest ticket price (0 for free events)'
+            },
+            {
+                name: 'event_currency',
+                label: 'Ticket Currency',
+                type: 'text',
+                placeholder: 'USD',
+                maxLength: 3,
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'ISO 4217 currency code'
+            },
+            {
+                name: 'event_ticket_availability',
+                label: 'Ticket Availability',
+                type: 'select',
+                options: [
+                    { value: '', label: 'Select Availability...' },
+                    { value: 'InStock', label: 'On Sale' },
+                    { value: 'SoldOut', label: 'Sold Out' },
+                    { value: 'PreOrder', label: 'Pre-sale' }
+                ],
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'Whether tickets can currently be bought'
+            },
+            {
+                name: 'event_valid_from',
+                label: 'Tickets On Sale From',
+                type: 'datetime-local',
+                condition: { field: 'schema_type', value: 'Event' },
+                help: 'When tickets go on sale'
+            },
+            {
+                name: 'recipe_prep_time',
+                label: 'Prep Time',
+                type: 'duration',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Time to prepare the ingredients'
+            },
+            {
+                name: 'recipe_cook_time',
+                label: 'Cook Time',
+                type: 'duration',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Time to cook the dish'
+            },
+            {
+                name: 'recipe_total_time',
+                label: 'Total Time',
+                type: 'duration',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Leave empty to use prep time plus cook time'
+            },
+            {
+                name: 'recipe_yield',
+                label: 'Yield',
+                type: 'text',
+                placeholder: '4 servings',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Quantity produced, e.g. number of servings'
+            },
+            {
+                name: 'recipe_category',
+                label: 'Category',
+                type: 'text',
+                placeholder: 'Dessert',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Type of meal or course'
+            },
+            {
+                name: 'recipe_cuisine',
+                label: 'Cuisine',
+                type: 'text',
+                placeholder: 'Italian',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Region associated with the recipe'
+            },
+            {
+                name: 'recipe_keywords',
+                label: 'Keywords',
+                type: 'text',
+                placeholder: 'quick, vegetarian, summer',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Comma-separated terms other than the category and cuisine'
+            },
+            {
+                name: 'recipe_ingredients',
+                label: 'Ingredients',
+                type: 'repeater',
+                addLabel: 'Add ingredient',
+                fields: [
+                    { name: 'ingredient', label: 'Ingredient', type: 'text', placeholder: '2 cups of flour' }
+                ],
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'One ingredient per row, with its quantity'
+            },
+            {
+                name: 'recipe_instructions',
+                label: 'Instructions',
+                type: 'repeater',
+                addLabel: 'Add step',
+                fields: [
+                    { name: 'name', label: 'Step Name', type: 'text', placeholder: 'Preheat' },
+                    { name: 'text', label: 'Instruction', type: 'textarea', placeholder: 'Preheat the oven to 180°C.', rows: 2 }
+                ],
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Steps in order; each becomes a HowToStep'
+            },
+            {
+                name: 'recipe_calories',
+                label: 'Calories',
+                type: 'text',
+                placeholder: '270 calories',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Calories per serving'
+            },
+            {
+                name: 'recipe_fat',
+                label: 'Fat',
+                type: 'text',
+                placeholder: '10 g',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Fat per serving'
+            },
+            {
+                name: 'recipe_carbohydrates',
+                label: 'Carbohydrates',
+                type: 'text',
+                placeholder: '35 g',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Carbohydrates per serving'
+            },
+            {
+                name: 'recipe_protein',
+                label: 'Protein',
+                type: 'text',
+                placeholder: '8 g',
+                condition: { field: 'schema_type', value: 'Recipe' },
+                help: 'Protein per serving'
+            },
+            {
+                name: 'business_type',
+                label: 'Business Type',
+                type: 'select',
+                options: [
+                    { value: 'LocalBusiness', label: 'Local Business (generic)' },
+                    { value: 'Restaurant', label: 'Restaurant' },
+                    { value: 'CafeOrCoffeeShop', label: 'Café or Coffee Shop' },
+                    { value: 'Bakery', label: 'Bakery' },
+                    { value: 'BarOrPub', label: 'Bar or Pub' },
+                    { value: 'Store', label: 'Store' },
+                    { value: 'ClothingStore', label: 'Clothing Store' },
+                    { value: 'GroceryStore', label: 'Grocery Store' },
+                    { value: 'HardwareStore', label: 'Hardware Store' },
+                    { value: 'Dentist', label: 'Dentist' },
+                    { value: 'Physician', label: 'Physician' },
+                    { value: 'MedicalClinic', label: 'Medical Clinic' },
+                    { value: 'Pharmacy', label: 'Pharmacy' },
+                    { value: 'HairSalon', label: 'Hair Salon' },
+                    { value: 'BeautySalon', label: 'Beauty Salon' },
+                    { value: 'HealthClub', label: 'Health Club' },
+                    { value: 'Hotel', label: 'Hotel' },
+                    { value: 'AutoRepair', label: 'Auto Repair' },
+                    { value: 'Plumber', label: 'Plumber' },
+                    { value: 'Electrician', label: 'Electrician' },
+                    { value: 'Attorney', label: 'Attorney' },
+                    { value: 'RealEstateAgent', label: 'Real Estate Agent' },
+                    { value: 'AccountingService', label: 'Accounting Service' },
+                    { value: 'ProfessionalService', label: 'Professional Service' }
+                ],
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Most specific schema.org LocalBusiness subtype'
+            },
+            {
+                name: 'business_street',
+                label: 'Street Address',
+                type: 'text',
+                placeholder: '123 Main St',
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Street address of the business'
+            },
+            {
+                name: 'business_locality',
+                label: 'City',
+                type: 'text',
+                placeholder: 'San Francisco',
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'City of the business'
+            },
+            {
+                name: 'business_region',
+                label: 'Region',
+                type: 'text',
+                placeholder: 'CA',
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'State or region of the business'
+            },
+            {
+                name: 'business_postal_code',
+                label: 'Postal Code',
+                type: 'text',
+                placeholder: '94103',
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Postal code of the business'
+            },
+            {
+                name: 'business_country',
+                label: 'Country',
+                type: 'text',
+                placeholder: 'US',
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Country of the business (ISO 3166-1 code)'
+            },
+            {
+                name: 'business_price_range',
+                label: 'Price Range',
+                type: 'text',
+                placeholder: '$$',
+                maxLength: 100,
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Relative price level, e.g. $$ or €10-20'
+            },
+            {
+                name: 'business_area_served',
+                label: 'Area Served',
+                type: 'textarea',
+                placeholder: 'San Francisco',
+                rows: 2,
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Cities or regions served, one per line'
+            },
+            {
+                name: 'business_hours',
+                label: 'Opening Hours',
+                type: 'repeater',
+                addLabel: 'Add opening hours',
+                fields: [
+                    {
+                        name: 'days',
+                        label: 'Days',
+                        type: 'select',
+                        options: [
+                            { value: 'Monday', label: 'Monday' },
+                            { value: 'Tuesday', label: 'Tuesday' },
+                            { value: 'Wednesday', label: 'Wednesday' },
+                            { value: 'Thursday', label: 'Thursday' },
+                            { value: 'Friday', label: 'Friday' },
+                            { value: 'Saturday', label: 'Saturday' },
+                            { value: 'Sunday', label: 'Sunday' },
+                            { value: 'Weekdays', label: 'Monday–Friday' },
+                            { value: 'Weekend', label: 'Saturday–Sunday' },
+                            { value: 'Everyday', label: 'Every day' }
+                        ],
+                        value: 'Weekdays'
+                    },
+                    { name: 'opens', label: 'Opens', type: 'time', value: '09:00' },
+                    { name: 'closes', label: 'Closes', type: 'time', value: '17:00' }
+                ],
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Add several rows for the same day for split shifts (e.g. 09:00–12:00 and 13:00–17:00); leave closed days out'
+            },
+            {
+                name: 'business_special_hours',
+                label: 'Holiday Hours',
+                type: 'repeater',
+                addLabel: 'Add exception',
+                fields: [
+                    { name: 'valid_from', label: 'From', type: 'date' },
+                    { name: 'valid_through', label: 'Through', type: 'date' },
+                    { name: 'opens', label: 'Opens', type: 'time' },
+                    { name: 'closes', label: 'Closes', type: 'time' },
+                    { name: 'closed', label: 'Closed all day', type: 'checkbox' }
+                ],
+                condition: { field: 'schema_type', value: 'LocalBusiness' },
+                help: 'Exceptions such as public holidays; they override the weekly hours for those dates'
+            },
+            {
+                name: 'faq_items',
+                label: 'Questions',
+                type: 'repeater',
+                addLabel: 'Add question',
+                fields: [
+                    { name: 'question', label: 'Question', type: 'text', placeholder: 'How long does shipping take?' },
+                    { name: 'answer', label: 'Answer', type: 'textarea', placeholder: 'Orders ship within <b>2 business days</b>.', rows: 3 }
+                ],
+                condition: { field: 'schema_type', value: 'FAQPage' },
+                help: 'Questions and answers as they appear on the page; answers may use links, lists, paragraphs, headings and emphasis'
+            },
+            {
+                name: 'howto_total_time',
+                label: 'Total Time',
+                type: 'duration',
+                condition: { field: 'schema_type', value: 'HowTo' },
+                help: 'Time to complete all steps'
+            },
+            {
+                name: 'howto_tools',
+                label: 'Tools',
+                type: 'textarea',
+                placeholder: 'Screwdriver',
+                rows: 3,
+                condition: { field: 'schema_type', value: 'HowTo' },
+                help: 'Items used but not consumed, one per line'
+            },
+            {
+                name: 'howto_supplies',
+                label: 'Supplies',
+                type: 'textarea',
+                placeholder: 'Wood glue',
+                rows: 3,
+                condition: { field: 'schema_type', value: 'HowTo' },
+                help: 'Items consumed by the task, one per line'
+            },
+            {
+                name: 'howto_steps',
+                label: 'Steps',
+                type: 'repeater',
+                addLabel: 'Add step',
+                fields: [
+                    { name: 'name', label: 'Step Name', type: 'text', placeholder: 'Remove the cover' },
+                    { name: 'text', label: 'Instruction', type: 'textarea', placeholder: 'Unscrew the four screws on the back.', rows: 2 },
+                    { name: 'image', label: 'Image URL', type: 'url', placeholder: 'https://example.com/step-1.jpg' }
+                ],
+                condition: { field: 'schema_type', value: 'HowTo' },
+                help: 'Steps in order; each becomes a HowToStep'
+            },
+            {
+                name: 'website_alternate_name',
+                label: 'Alternate Name',
+                type: 'text',
+                placeholder: 'EX',
+                condition: { field: 'schema_type', value: 'WebSite' },
+                help: 'Other name or abbreviation of the site; the name falls back to OG Site Name'
+            },
+            {
+                name: 'website_language',
+                label: 'Site Language',
+                type: 'text',
+                placeholder: 'en-US',
+                condition: { field: 'schema_type', value: 'WebSite' },
+                help: 'Leave empty to use Content Language from the SEO category'
+            },
+            {
+                name: 'website_search_url',
+                label: 'Search URL Template',
+                type: 'text',
+                placeholder: 'https://example.com/search?q={search_term_string}',
+                condition: { field: 'schema_type', value: 'WebSite' },
+                help: 'Site search URL with {search_term_string} where the query goes; output as a SearchAction for the sitelinks search box'
+            },
+            {
+                name: 'video_thumbnail_url',
+                label: 'Thumbnail URL',
+                type: 'url',
+                placeholder: 'https://example.com/video-thumbnail.jpg',
+                condition: { field: 'schema_type', value: 'VideoObject' },
+                help: 'Preview image of the video'
+            },
+            {
+                name: 'video_upload_date',
+                label: 'Upload Date',
+                type: 'date',
+                condition: { field: 'schema_type', value: 'VideoObject' },
+                help: 'Date the video was first published'
+            },
+            {
+                name: 'video_duration',
+                label: 'Duration',
+                type: 'duration',
+                seconds: true,
+                condition: { field: 'schema_type', value: 'VideoObject' },
+                help: 'Length of the video'
+            },
+            {
+                name: 'video_content_url',
+                label: 'Content URL',
+                type: 'url',
+                placeholder: 'https://example.com/video.mp4',
+                condition: { field: 'schema_type', value: 'VideoObject' },
+                help: 'URL of the video file; filled from OG Video when you pick this type'
+            },
+            {
+                name: 'video_embed_url',
+                label: 'Embed URL',
+                type: 'url',
+                placeholder: 'https://www.youtube.com/embed/abc123',
+                condition: { field: 'schema_type', value: 'VideoObject' },
+                help: 'URL of the embeddable player'
+            },
+            {
+                name: 'job_date_posted',
+                label: 'Date Posted',
+                type: 'date',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Date the job was first posted'
+            },
+            {
+                name: 'job_valid_through',
+                label: 'Valid Through',
+                type: 'date',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Last day applications are accepted; leave empty if the job does not expire'
+            },
+            {
+                name: 'job_employment_type',
+                label: 'Employment Type',
+                type: 'select',
+                options: [
+                    { value: '', label: 'Select type...' },
+                    { value: 'FULL_TIME', label: 'Full time' },
+                    { value: 'PART_TIME', label: 'Part time' },
+                    { value: 'CONTRACTOR', label: 'Contractor' },
+                    { value: 'TEMPORARY', label: 'Temporary' },
+                    { value: 'INTERN', label: 'Intern' },
+                    { value: 'VOLUNTEER', label: 'Volunteer' },
+                    { value: 'PER_DIEM', label: 'Per diem' },
+                    { value: 'OTHER', label: 'Other' }
+                ],
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Type of employment'
+            },
+            {
+                name: 'job_hiring_organization',
+                label: 'Hiring Organization',
+                type: 'text',
+                placeholder: 'Example Inc.',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Leave empty to use the Site Organization'
+            },
+            {
+                name: 'job_hiring_organization_url',
+                label: 'Hiring Organization URL',
+                type: 'url',
+                placeholder: 'https://example.com',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Homepage of the hiring organization'
+            },
+            {
+                name: 'job_street',
+                label: 'Street Address',
+                type: 'text',
+                placeholder: '123 Main St',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Where the employee reports to work'
+            },
+            {
+                name: 'job_locality',
+                label: 'City',
+                type: 'text',
+                placeholder: 'San Francisco',
+                condition: { field: 'schema_type', value: 'JobPosting' }
+            },
+            {
+                name: 'job_region',
+                label: 'Region / State',
+                type: 'text',
+                placeholder: 'CA',
+                condition: { field: 'schema_type', value: 'JobPosting' }
+            },
+            {
+                name: 'job_postal_code',
+                label: 'Postal Code',
+                type: 'text',
+                placeholder: '94103',
+                condition: { field: 'schema_type', value: 'JobPosting' }
+            },
+            {
+                name: 'job_country',
+                label: 'Country',
+                type: 'text',
+                placeholder: 'US',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Country of the workplace (ISO 3166-1 code)'
+            },
+            {
+                name: 'job_remote',
+                label: 'Fully remote job',
+                type: 'checkbox',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Output as TELECOMMUTE; a workplace address is then optional'
+            },
+            {
+                name: 'job_applicant_countries',
+                label: 'Applicant Countries',
+                type: 'text',
+                placeholder: 'US, CA',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Countries remote applicants may live in, comma-separated'
+            },
+            {
+                name: 'job_salary_min',
+                label: 'Salary (minimum)',
+                type: 'number',
+                placeholder: '50000',
+                min: 0,
+                step: 'any',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Exact salary, or the lower end of the range'
+            },
+            {
+                name: 'job_salary_max',
+                label: 'Salary (maximum)',
+                type: 'number',
+                placeholder: '70000',
+                min: 0,
+                step: 'any',
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Upper end of the range; leave empty for an exact salary'
+            },
+            {
+                name: 'job_salary_currency',
+                label: 'Salary Currency',
+                type: 'text',
+                placeholder: 'USD',
+                maxLength: 3,
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'ISO 4217 currency code'
+            },
+            {
+                name: 'job_salary_unit',
+                label: 'Salary Per',
+                type: 'select',
+                options: [
+                    { value: 'YEAR', label: 'Year' },
+                    { value: 'MONTH', label: 'Month' },
+                    { value: 'WEEK', label: 'Week' },
+                    { value: 'DAY', label: 'Day' },
+                    { value: 'HOUR', label: 'Hour' }
+                ],
+                condition: { field: 'schema_type', value: 'JobPosting' },
+                help: 'Period the salary is paid for'
+            },
+            {
+                name: 'course_provider',
+                label: 'Provider',
+                type: 'text',
+                placeholder: 'Example University',
+                condition: { field: 'schema_type', value: 'Course' },
+                help: 'Organization offering the course; leave empty to use the Site Organization'
+            },
+            {
+                name: 'course_provider_url',
+                label: 'Provider URL',
+                type: 'url',
+                placeholder: 'https://example.edu',
+                condition: { field: 'schema_type', value: 'Course' },
+                help: 'Homepage of the provider'
+            },
+            {
+                name: 'course_instances',
+                label: 'Course Instances',
+                type: 'repeater',
+                addLabel: 'Add instance',
+                fields: [
+                    {
+                        name: 'mode',
+                        label: 'Mode',
+                        type: 'select',
+                        value: 'Online',
+                        options: [
+                            { value: 'Online', label: 'Online' },
+                            { value: 'Onsite', label: 'Onsite' },
+                            { value: 'Blended', label: 'Blended' }
+                        ]
+                    },
+                    { name: 'start', label: 'Start', type: 'date' },
+                    { name: 'end', label: 'End', type: 'date' },
+                    { name: 'workload', label: 'Workload', type: 'text', placeholder: 'PT22H' },
+                    { name: 'location', label: 'Location', type: 'text', placeholder: 'Room 101, Main Campus' }
+                ],
+                condition: { field: 'schema_type', value: 'Course' },
+                help: 'Sessions of the course; workload is an ISO 8601 duration'
+            },
+            {
+                name: 'software_os',
+                label: 'Operating System',
+                type: 'text',
+                placeholder: 'Windows, macOS',
+                condition: { field: 'schema_type', value: 'SoftwareApplication' },
+                help: 'Operating systems the application runs on'
+            },
+            {
+                name: 'software_category',
+                label: 'Application Category',
+                type: 'select',
+                options: [
+                    { value: '', label: 'Select category...' },
+                    { value: 'BusinessApplication', label: 'Business' },
+                    { value: 'CommunicationApplication', label: 'Communication' },
+                    { value: 'DesignApplication', label: 'Design' },
+                    { value: 'DeveloperApplication', label: 'Developer tools' },
+                    { value: 'EducationalApplication', label: 'Education' },
+                    { value: 'EntertainmentApplication', label: 'Entertainment' },
+                    { value: 'FinanceApplication', label: 'Finance' },
+                    { value: 'GameApplication', label: 'Game' },
+                    { value: 'HealthApplication', label: 'Health' },
+                    { value: 'LifestyleApplication', label: 'Lifestyle' },
+                    { value: 'MultimediaApplication', label: 'Multimedia' },
+                    { value: 'SecurityApplication', label: 'Security' },
+                    { value: 'ShoppingApplication', label: 'Shopping' },
+                    { value: 'SocialNetworkingApplication', label: 'Social networking' },
+                    { value: 'TravelApplication', label: 'Travel' },
+                    { value: 'UtilitiesApplication', label: 'Utilities' }
+                ],
+                condition: { field: 'schema_type', value: 'SoftwareApplication' },
+                help: 'Price and rating use the fields above'
+            },
+            {
+                name: 'schema_additional_properties',
+                label: 'Additional Properties (JSON)',
+                type: 'json',
+                rows: 6,
+                help: 'A JSON object of extra properties merged into this node as-is, e.g. {"sameAs": ["https://twitter.com/example"]}. Imported JSON-LD keeps here what the fields above cannot hold'
+            },
+            {
+                name: 'breadcrumbs',
+                label: 'Breadcrumbs',
+                type: 'repeater',
+                addLabel: 'Add breadcrumb',
+                actions: [
+                    { name: 'deriveBreadcrumbs', label: 'From canonical URL', icon: 'fas fa-magic' }
+                ],
+                fields: [
+                    { name: 'name', label: 'Name', type: 'text', placeholder: 'Books' },
+                    { name: 'url', label: 'URL', type: 'url', placeholder: 'https://example.com/books' }
+                ],
+                pageLevel: true,
+                help: 'Trail from the home page to this page, output as a BreadcrumbList (#breadcrumb); the last item may leave the URL empty'
+            },
+            {
+                name: 'organization_name',
+                label: 'Site Organization Name',
+                type: 'text',
+                placeholder: 'Example Inc.',
+                pageLevel: true,
+                inheritable: true,
+                help: 'Organization behind the site, output as its own node (#organization)'
+            },
+            {
+                name: 'organization_url',
+                label: 'Site Organization URL',
+                type: 'url',
+                placeholder: 'https://example.com',
+                pageLevel: true,
+                inheritable: true,
+                help: 'Homepage of the organization'
+            },
+            {
+                name: 'organization_logo',
+                label: 'Site Organization Logo',
+                type: 'url',
+                placeholder: 'https://example.com/logo.png',
+                pageLevel: true,
+                inheritable: true,
+                help: 'Logo shown in search results'
+            },
+            {
+                name: 'organization_same_as',
+                label: 'Site Organization Profiles',
+                type: 'textarea',
+                placeholder: 'https://twitter.com/example',
+                rows: 3,
+                pageLevel: true,
+                inheritable: true,
+                help: 'Social profile URLs, one per line'
+            },
+            {
+                name: 'schema_output',
+                label: 'JSON-LD Output',
+                type: 'select',
+                pageLevel: true,
+                options: [
+                    { value: 'separate', label: 'Separate script per node' },
+                    { value: 'graph', label: 'Single @graph script' }
+                ],
+                help: 'How the schema nodes of this page are written out'
             }
         ]
     },
@@ -510,6 +1596,7 @@ export const formCategories = {
                 label: 'Theme Color',
                 type: 'color',
                 value: '#2563eb',
+                inheritable: true,
                 help: 'Browser theme color for mobile devices'
             },
             {
@@ -524,7 +1611,35 @@ export const formCategories = {
                 label: 'MS Application Config',
                 type: 'url',
                 placeholder: '/browserconfig.xml',
-                help: 'Path to browserconfig.xml for Windows tiles'
+                help: 'Path to browserconfig.xml for Windows tiles (defaults to /browserconfig.xml when tiles are set)'
+            },
+            {
+                name: 'msapplication_square70',
+                label: 'Small Tile (70x70)',
+                type: 'text',
+                placeholder: '/mstile-70x70.png',
+                help: 'Image for the small Windows tile (128x128px recommended)'
+            },
+            {
+                name: 'msapplication_square150',
+                label: 'Medium Tile (150x150)',
+                type: 'text',
+                placeholder: '/mstile-150x150.png',
+                help: 'Image for the medium Windows tile (270x270px recommended)'
+            },
+            {
+                name: 'msapplication_square310',
+                label: 'Large Tile (310x310)',
+                type: 'text',
+                placeholder: '/mstile-310x310.png',
+                help: 'Image for the large Windows tile (558x558px recommended)'
+            },
+            {
+                name: 'msapplication_wide310',
+                label: 'Wide Tile (310x150)',
+                type: 'text',
+                placeholder: '/mstile-310x150.png',
+                help: 'Image for the wide Windows tile (558x270px recommended)'
             },
             {
                 name: 'rating',
@@ -606,6 +1721,126 @@ export const formCategories = {
                 type: 'url',
                 placeholder: '/manifest.json',
                 help: 'Path to web app manifest file'
+            },
+            {
+                name: 'manifest_name',
+                label: 'App Name',
+                type: 'text',
+                placeholder: 'My Progressive Web App',
+                help: 'Full app name (defaults to the Apple Web App Title)'
+            },
+            {
+                name: 'manifest_short_name',
+                label: 'Short Name',
+                type: 'text',
+                placeholder: 'My App',
+                maxLength: 12,
+                help: 'Shown under the home screen icon when space is limited'
+            },
+            {
+                name: 'manifest_start_url',
+                label: 'Start URL',
+                type: 'text',
+                placeholder: '/',
+                help: 'Page opened when the app is launched'
+            },
+            {
+                name: 'manifest_scope',
+                label: 'Scope',
+                type: 'text',
+                placeholder: '/',
+                help: 'Navigation scope of the app (defaults to the start URL directory)'
+            },
+            {
+                name: 'manifest_display',
+                label: 'Display Mode',
+                type: 'select',
+                options: [
+                    { value: 'standalone', label: 'Standalone' },
+                    { value: 'fullscreen', label: 'Fullscreen' },
+                    { value: 'minimal-ui', label: 'Minimal UI' },
+                    { value: 'browser', label: 'Browser' }
+                ],
+                value: 'standalone',
+                help: 'How the app is displayed once installed'
+            },
+            {
+                name: 'manifest_orientation',
+                label: 'Orientation',
+                type: 'select',
+                options: [
+                    { value: '', label: 'Not set' },
+                    { value: 'any', label: 'Any' },
+                    { value: 'natural', label: 'Natural' },
+                    { value: 'portrait', label: 'Portrait' },
+                    { value: 'landscape', label: 'Landscape' }
+                ],
+                help: 'Default screen orientation'
+            },
+            {
+                name: 'manifest_background_color',
+                label: 'Background Color',
+                type: 'color',
+                value: '#ffffff',
+                help: 'Splash screen background color (theme color comes from Advanced)'
+            },
+            {
+                name: 'manifest_icons',
+                label: 'App Icons',
+                type: 'repeater',
+                addLabel: 'Add icon',
+                fields: [
+                    { name: 'src', label: 'Source', type: 'text', placeholder: '/icons/icon-192.png' },
+                    { name: 'sizes', label: 'Sizes', type: 'text', placeholder: '192x192' },
+                    {
+                        name: 'purpose',
+                        label: 'Purpose',
+                        type: 'select',
+                        options: [
+                            { value: 'any', label: 'Any' },
+                            { value: 'maskable', label: 'Maskable' },
+                            { value: 'monochrome', label: 'Monochrome' },
+                            { value: 'any maskable', label: 'Any + Maskable' }
+                        ],
+                        value: 'any'
+                    }
+                ],
+                help: 'Provide at least 192x192 and 512x512 icons (defaults to the Apple Touch Icon)'
+            },
+            {
+                name: 'manifest_shortcuts',
+                label: 'Shortcuts',
+                type: 'repeater',
+                addLabel: 'Add shortcut',
+                fields: [
+                    { name: 'name', label: 'Name', type: 'text', placeholder: 'New order' },
+                    { name: 'url', label: 'URL', type: 'text', placeholder: '/orders/new' },
+                    { name: 'description', label: 'Description', type: 'text', placeholder: 'Start a new order' },
+                    { name: 'icon', label: 'Icon (96x96)', type: 'text', placeholder: '/icons/new-order.png' }
+                ],
+                help: 'Quick actions in the app icon context menu'
+            },
+            {
+                name: 'manifest_screenshots',
+                label: 'Screenshots',
+                type: 'repeater',
+                addLabel: 'Add screenshot',
+                fields: [
+                    { name: 'src', label: 'Source', type: 'text', placeholder: '/screenshots/home.png' },
+                    { name: 'sizes', label: 'Sizes', type: 'text', placeholder: '1280x720' },
+                    {
+                        name: 'form_factor',
+                        label: 'Form Factor',
+                        type: 'select',
+                        options: [
+                            { value: '', label: 'Any' },
+                            { value: 'narrow', label: 'Narrow (mobile)' },
+                            { value: 'wide', label: 'Wide (desktop)' }
+                        ]
+                    },
+                    { name: 'label', label: 'Label', type: 'text', placeholder: 'Home screen' }
+                ],
+                help: 'Shown in the richer install dialog'
             }
         ]
     },
@@ -630,4 +1865,14 @@ export const formCategories = {
             }
         ]
     }
+};
+
+/**
+ * Site-wide defaults: every field pages can inherit
+ */
+export const siteCategory = {
+    title: 'Site Defaults',
+    description: 'Values every page inherits unless the page overrides them',
+    icon: 'fa-globe',
+    fields: Object.values(formCategories).flatMap(category => category.fields.filter(field => field.inheritable))
 };
\ No newline at end of file
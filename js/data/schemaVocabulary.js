@@ -0,0 +1,974 @@
+/**
+ * SCHEMA.ORG VOCABULARY DATA
+ * Subset of schema.org used to check JSON-LD without network access
+ */
+
+// Types with their parents and the properties they add; a type also takes the properties of its ancestors.
+// Property values list the expected types: data types (Text, URL, Number, Integer, Boolean, Date, DateTime,
+// Time, Duration), enumerations or other types
+export const schemaTypes = {
+    Thing: {
+        properties: {
+            additionalType: ['URL'],
+            alternateName: ['Text'],
+            description: ['Text'],
+            disambiguatingDescription: ['Text'],
+            identifier: ['PropertyValue', 'Text', 'URL'],
+            image: ['ImageObject', 'URL'],
+            mainEntityOfPage: ['CreativeWork', 'URL'],
+            name: ['Text'],
+            potentialAction: ['Action'],
+            sameAs: ['URL'],
+            subjectOf: ['CreativeWork', 'Event'],
+            url: ['URL']
+        }
+    },
+    
+    // Creative works
+    CreativeWork: {
+        parents: ['Thing'],
+        properties: {
+            about: ['Thing'],
+            abstract: ['Text'],
+            accessibilityFeature: ['Text'],
+            accessibilitySummary: ['Text'],
+            accountablePerson: ['Person'],
+            aggregateRating: ['AggregateRating'],
+            alternativeHeadline: ['Text'],
+            associatedMedia: ['MediaObject'],
+            audience: ['Audience'],
+            author: ['Organization', 'Person'],
+            award: ['Text'],
+            citation: ['CreativeWork', 'Text'],
+            comment: ['Comment'],
+            commentCount: ['Integer'],
+            contentLocation: ['Place'],
+            contentRating: ['Rating', 'Text'],
+            contributor: ['Organization', 'Person'],
+            copyrightHolder: ['Organization', 'Person'],
+            copyrightNotice: ['Text'],
+            copyrightYear: ['Number'],
+            creativeWorkStatus: ['DefinedTerm', 'Text'],
+            creator: ['Organization', 'Person'],
+            dateCreated: ['Date', 'DateTime'],
+            dateModified: ['Date', 'DateTime'],
+            datePublished: ['Date', 'DateTime'],
+            discussionUrl: ['URL'],
+            editor: ['Person'],
+            educationalLevel: ['DefinedTerm', 'Text', 'URL'],
+            encodingFormat: ['Text', 'URL'],
+            expires: ['Date', 'DateTime'],
+            funder: ['Organization', 'Person'],
+            genre: ['Text', 'URL'],
+            hasPart: ['CreativeWork'],
+            headline: ['Text'],
+            inLanguage: ['Language', 'Text'],
+            interactionStatistic: ['InteractionCounter'],
+            isAccessibleForFree: ['Boolean'],
+            isBasedOn: ['CreativeWork', 'Product', 'URL'],
+            isFamilyFriendly: ['Boolean'],
+            isPartOf: ['CreativeWork', 'URL'],
+            keywords: ['DefinedTerm', 'Text', 'URL'],
+            license: ['CreativeWork', 'URL'],
+            locationCreated: ['Place'],
+            mainEntity: ['Thing'],
+            maintainer: ['Organization', 'Person'],
+            mentions: ['Thing'],
+            offers: ['Demand', 'Offer'],
+            position: ['Integer', 'Text'],
+            producer: ['Organization', 'Person'],
+            provider: ['Organization', 'Person'],
+            publisher: ['Organization', 'Person'],
+            publishingPrinciples: ['CreativeWork', 'URL'],
+            review: ['Review'],
+            sourceOrganization: ['Organization'],
+            spatialCoverage: ['Place'],
+            sponsor: ['Organization', 'Person'],
+            teaches: ['DefinedTerm', 'Text'],
+            temporalCoverage: ['DateTime', 'Text', 'URL'],
+            text: ['Text'],
+            thumbnail: ['ImageObject'],
+            thumbnailUrl: ['URL'],
+            timeRequired: ['Duration'],
+            translator: ['Organization', 'Person'],
+            typicalAgeRange: ['Text'],
+            version: ['Number', 'Text'],
+            video: ['Clip', 'VideoObject']
+        }
+    },
+    Article: {
+        parents: ['CreativeWork'],
+        properties: {
+            articleBody: ['Text'],
+            articleSection: ['Text'],
+            backstory: ['CreativeWork', 'Text'],
+            pageEnd: ['Integer', 'Text'],
+            pageStart: ['Integer', 'Text'],
+            pagination: ['Text'],
+            speakable: ['SpeakableSpecification', 'URL'],
+            wordCount: ['Integer']
+        }
+    },
+    SocialMediaPosting: {
+        parents: ['Article'],
+        properties: {
+            sharedContent: ['CreativeWork']
+        }
+    },
+    BlogPosting: {
+        parents: ['SocialMediaPosting']
+    },
+    NewsArticle: {
+        parents: ['Article'],
+        properties: {
+            dateline: ['Text'],
+            printColumn: ['Text'],
+            printEdition: ['Text'],
+            printPage: ['Text'],
+            printSection: ['Text']
+        }
+    },
+    TechArticle: {
+        parents: ['Article'],
+        properties: {
+            dependencies: ['Text'],
+            proficiencyLevel: ['Text']
+        }
+    },
+    ScholarlyArticle: {
+        parents: ['Article']
+    },
+    Report: {
+        parents: ['Article'],
+        properties: {
+            reportNumber: ['Text']
+        }
+    },
+    WebPage: {
+        parents: ['CreativeWork'],
+        properties: {
+            breadcrumb: ['BreadcrumbList', 'Text'],
+            lastReviewed: ['Date'],
+            mainContentOfPage: ['WebPageElement'],
+            primaryImageOfPage: ['ImageObject'],
+            relatedLink: ['URL'],
+            reviewedBy: ['Organization', 'Person'],
+            significantLink: ['URL'],
+            speakable: ['SpeakableSpecification', 'URL']
+        }
+    },
+    FAQPage: {
+        parents: ['WebPage']
+    },
+    WebPageElement: {
+        parents: ['CreativeWork'],
+        properties: {
+            cssSelector: ['Text'],
+            xpath: ['Text']
+        }
+    },
+    WebSite: {
+        parents: ['CreativeWork'],
+        properties: {
+            issn: ['Text']
+        }
+    },
+    MediaObject: {
+        parents: ['CreativeWork'],
+        properties: {
+            bitrate: ['Text'],
+            contentSize: ['Text'],
+            contentUrl: ['URL'],
+            duration: ['Duration'],
+            embedUrl: ['URL'],
+            encodesCreativeWork: ['CreativeWork'],
+            endTime: ['DateTime', 'Time'],
+            height: ['Distance', 'QuantitativeValue'],
+            ineligibleRegion: ['GeoShape', 'Place', 'Text'],
+            playerType: ['Text'],
+            regionsAllowed: ['Place'],
+            requiresSubscription: ['Boolean', 'MediaSubscription'],
+            startTime: ['DateTime', 'Time'],
+            uploadDate: ['Date', 'DateTime'],
+            width: ['Distance', 'QuantitativeValue']
+        }
+    },
+    ImageObject: {
+        parents: ['MediaObject'],
+        properties: {
+            caption: ['MediaObject', 'Text'],
+            embeddedTextCaption: ['Text'],
+            exifData: ['PropertyValue', 'Text'],
+            representativeOfPage: ['Boolean']
+        }
+    },
+    VideoObject: {
+        parents: ['MediaObject'],
+        properties: {
+            actor: ['Person'],
+            caption: ['MediaObject', 'Text'],
+            director: ['Person'],
+            embeddedTextCaption: ['Text'],
+            musicBy: ['MusicGroup', 'Person'],
+            transcript: ['Text'],
+            videoFrameSize: ['Text'],
+            videoQuality: ['Text']
+        }
+    },
+    Clip: {
+        parents: ['CreativeWork'],
+        properties: {
+            endOffset: ['Number'],
+            startOffset: ['Number']
+        }
+    },
+    HowTo: {
+        parents: ['CreativeWork'],
+        properties: {
+            estimatedCost: ['MonetaryAmount', 'Text'],
+            performTime: ['Duration'],
+            prepTime: ['Duration'],
+            step: ['CreativeWork', 'HowToSection', 'HowToStep', 'Text'],
+            supply: ['HowToSupply', 'Text'],
+            tool: ['HowToTool', 'Text'],
+            totalTime: ['Duration'],
+            yield: ['QuantitativeValue', 'Text']
+        }
+    },
+    Recipe: {
+        parents: ['HowTo'],
+        properties: {
+            cookTime: ['Duration'],
+            cookingMethod: ['Text'],
+            nutrition: ['NutritionInformation'],
+            recipeCategory: ['Text'],
+            recipeCuisine: ['Text'],
+            recipeIngredient: ['Text'],
+            recipeInstructions: ['CreativeWork', 'ItemList', 'Text'],
+            recipeYield: ['QuantitativeValue', 'Text'],
+            suitableForDiet: ['RestrictedDiet']
+        }
+    },
+    HowToStep: {
+        parents: ['CreativeWork', 'ItemList', 'ListItem']
+    },
+    HowToSection: {
+        parents: ['CreativeWork', 'ItemList', 'ListItem']
+    },
+    Course: {
+        parents: ['CreativeWork'],
+        properties: {
+            availableLanguage: ['Language', 'Text'],
+            courseCode: ['Text'],
+            coursePrerequisites: ['AlignmentObject', 'Course', 'Text'],
+            educationalCredentialAwarded: ['Text', 'URL'],
+            financialAidEligible: ['Text'],
+            hasCourseInstance: ['CourseInstance'],
+            numberOfCredits: ['Integer', 'StructuredValue'],
+            occupationalCredentialAwarded: ['Text', 'URL']
+        }
+    },
+    SoftwareApplication: {
+        parents: ['CreativeWork'],
+        properties: {
+            applicationCategory: ['Text', 'URL'],
+            applicationSubCategory: ['Text', 'URL'],
+            applicationSuite: ['Text'],
+            availableOnDevice: ['Text'],
+            countriesSupported: ['Text'],
+            downloadUrl: ['URL'],
+            featureList: ['Text', 'URL'],
+            fileSize: ['Text'],
+            installUrl: ['URL'],
+            memoryRequirements: ['Text', 'URL'],
+            operatingSystem: ['Text'],
+            permissions: ['Text'],
+            processorRequirements: ['Text'],
+            releaseNotes: ['Text', 'URL'],
+            screenshot: ['ImageObject', 'URL'],
+            softwareHelp: ['CreativeWork'],
+            softwareRequirements: ['Text', 'URL'],
+            softwareVersion: ['Text'],
+            storageRequirements: ['Text', 'URL']
+        }
+    },
+    Comment: {
+        parents: ['CreativeWork'],
+        properties: {
+            downvoteCount: ['Integer'],
+            parentItem: ['Comment', 'CreativeWork'],
+            upvoteCount: ['Integer']
+        }
+    },
+    Question: {
+        parents: ['Comment'],
+        properties: {
+            acceptedAnswer: ['Answer', 'ItemList'],
+            answerCount: ['Integer'],
+            eduQuestionType: ['Text'],
+            suggestedAnswer: ['Answer', 'ItemList']
+        }
+    },
+    Answer: {
+        parents: ['Comment'],
+        properties: {
+            answerExplanation: ['Comment']
+        }
+    },
+    Review: {
+        parents: ['CreativeWork'],
+        properties: {
+            itemReviewed: ['Thing'],
+            negativeNotes: ['ItemList', 'ListItem', 'Text'],
+            positiveNotes: ['ItemList', 'ListItem', 'Text'],
+            reviewAspect: ['Text'],
+            reviewBody: ['Text'],
+            reviewRating: ['Rating']
+        }
+    },
+    
+    // Organizations, people and places
+    Organization: {
+        parents: ['Thing'],
+        properties: {
+            address: ['PostalAddress', 'Text'],
+            aggregateRating: ['AggregateRating'],
+            alumni: ['Person'],
+            areaServed: ['AdministrativeArea', 'GeoShape', 'Place', 'Text'],
+            award: ['Text'],
+            brand: ['Brand', 'Organization'],
+            contactPoint: ['ContactPoint'],
+            department: ['Organization'],
+            dissolutionDate: ['Date'],
+            duns: ['Text'],
+            email: ['Text'],
+            employee: ['Person'],
+            event: ['Event'],
+            faxNumber: ['Text'],
+            founder: ['Organization', 'Person'],
+            foundingDate: ['Date'],
+            foundingLocation: ['Place'],
+            funder: ['Organization', 'Person'],
+            globalLocationNumber: ['Text'],
+            hasMerchantReturnPolicy: ['MerchantReturnPolicy'],
+            hasOfferCatalog: ['OfferCatalog'],
+            isicV4: ['Text'],
+            iso6523Code: ['Text'],
+            keywords: ['DefinedTerm', 'Text', 'URL'],
+            knowsAbout: ['Text', 'Thing', 'URL'],
+            knowsLanguage: ['Language', 'Text'],
+            legalName: ['Text'],
+            leiCode: ['Text'],
+            location: ['Place', 'PostalAddress', 'Text', 'VirtualLocation'],
+            logo: ['ImageObject', 'URL'],
+            makesOffer: ['Offer'],
+            member: ['Organization', 'Person'],
+            memberOf: ['Organization', 'ProgramMembership'],
+            naics: ['Text'],
+            numberOfEmployees: ['QuantitativeValue'],
+            parentOrganization: ['Organization'],
+            publishingPrinciples: ['CreativeWork', 'URL'],
+            review: ['Review'],
+            slogan: ['Text'],
+            sponsor: ['Organization', 'Person'],
+            subOrganization: ['Organization'],
+            taxID: ['Text'],
+            telephone: ['Text'],
+            vatID: ['Text']
+        }
+    },
+    PerformingGroup: {
+        parents: ['Organization']
+    },
+    MusicGroup: {
+        parents: ['PerformingGroup'],
+        properties: {
+            album: ['MusicAlbum'],
+            genre: ['Text', 'URL'],
+            track: ['ItemList', 'MusicRecording']
+        }
+    },
+    TheaterGroup: {
+        parents: ['PerformingGroup']
+    },
+    DanceGroup: {
+        parents: ['PerformingGroup']
+    },
+    Person: {
+        parents: ['Thing'],
+        properties: {
+            additionalName: ['Text'],
+            address: ['PostalAddress', 'Text'],
+            affiliation: ['Organization'],
+            alumniOf: ['Organization'],
+            award: ['Text'],
+            birthDate: ['Date'],
+            birthPlace: ['Place'],
+            brand: ['Brand', 'Organization'],
+            children: ['Person'],
+            colleague: ['Person', 'URL'],
+            contactPoint: ['ContactPoint'],
+            deathDate: ['Date'],
+            email: ['Text'],
+            familyName: ['Text'],
+            follows: ['Person'],
+            gender: ['GenderType', 'Text'],
+            givenName: ['Text'],
+            hasOccupation: ['Occupation'],
+            honorificPrefix: ['Text'],
+            honorificSuffix: ['Text'],
+            jobTitle: ['DefinedTerm', 'Text'],
+            knows: ['Person'],
+            knowsAbout: ['Text', 'Thing', 'URL'],
+            knowsLanguage: ['Language', 'Text'],
+            memberOf: ['Organization', 'ProgramMembership'],
+            nationality: ['Country'],
+            parent: ['Person'],
+            sibling: ['Person'],
+            spouse: ['Person'],
+            telephone: ['Text'],
+            workLocation: ['ContactPoint', 'Place'],
+            worksFor: ['Organization']
+        }
+    },
+    Place: {
+        parents: ['Thing'],
+        properties: {
+            address: ['PostalAddress', 'Text'],
+            aggregateRating: ['AggregateRating'],
+            amenityFeature: ['LocationFeatureSpecification'],
+            branchCode: ['Text'],
+            containedInPlace: ['Place'],
+            containsPlace: ['Place'],
+            event: ['Event'],
+            faxNumber: ['Text'],
+            geo: ['GeoCoordinates', 'GeoShape'],
+            globalLocationNumber: ['Text'],
+            hasMap: ['Map', 'URL'],
+            isAccessibleForFree: ['Boolean'],
+            keywords: ['DefinedTerm', 'Text', 'URL'],
+            latitude: ['Number', 'Text'],
+            logo: ['ImageObject', 'URL'],
+            longitude: ['Number', 'Text'],
+            maximumAttendeeCapacity: ['Integer'],
+            openingHoursSpecification: ['OpeningHoursSpecification'],
+            photo: ['ImageObject', 'Photograph'],
+            publicAccess: ['Boolean'],
+            review: ['Review'],
+            slogan: ['Text'],
+            smokingAllowed: ['Boolean'],
+            specialOpeningHoursSpecification: ['OpeningHoursSpecification'],
+            telephone: ['Text']
+        }
+    },
+    AdministrativeArea: {
+        parents: ['Place']
+    },
+    Country: {
+        parents: ['AdministrativeArea']
+    },
+    LocalBusiness: {
+        parents: ['Organization', 'Place'],
+        properties: {
+            currenciesAccepted: ['Text'],
+            openingHours: ['Text'],
+            paymentAccepted: ['Text'],
+            priceRange: ['Text']
+        }
+    },
+    FoodEstablishment: {
+        parents: ['LocalBusiness'],
+        properties: {
+            acceptsReservations: ['Boolean', 'Text', 'URL'],
+            hasMenu: ['Menu', 'Text', 'URL'],
+            menu: ['Menu', 'Text', 'URL'],
+            servesCuisine: ['Text'],
+            starRating: ['Rating']
+        }
+    },
+    Restaurant: { parents: ['FoodEstablishment'] },
+    CafeOrCoffeeShop: { parents: ['FoodEstablishment'] },
+    Bakery: { parents: ['FoodEstablishment'] },
+    BarOrPub: { parents: ['FoodEstablishment'] },
+    Store: { parents: ['LocalBusiness'] },
+    ClothingStore: { parents: ['Store'] },
+    GroceryStore: { parents: ['Store'] },
+    HardwareStore: { parents: ['Store'] },
+    MedicalBusiness: { parents: ['LocalBusiness'] },
+    Dentist: { parents: ['MedicalBusiness'] },
+    Physician: { parents: ['MedicalBusiness'] },
+    MedicalClinic: { parents: ['MedicalBusiness'] },
+    Pharmacy: { parents: ['MedicalBusiness'] },
+    HealthAndBeautyBusiness: { parents: ['LocalBusiness'] },
+    HairSalon: { parents: ['HealthAndBeautyBusiness'] },
+    BeautySalon: { parents: ['HealthAndBeautyBusiness'] },
+    HealthClub: { parents: ['HealthAndBeautyBusiness'] },
+    LodgingBusiness: {
+        parents: ['LocalBusiness'],
+        properties: {
+            availableLanguage: ['Language', 'Text'],
+            checkinTime: ['DateTime', 'Time'],
+            checkoutTime: ['DateTime', 'Time'],
+            numberOfRooms: ['Number', 'QuantitativeValue'],
+            petsAllowed: ['Boolean', 'Text'],
+            starRating: ['Rating']
+        }
+    },
+    Hotel: { parents: ['LodgingBusiness'] },
+    AutomotiveBusiness: { parents: ['LocalBusiness'] },
+    AutoRepair: { parents: ['AutomotiveBusiness'] },
+    HomeAndConstructionBusiness: { parents: ['LocalBusiness'] },
+    Plumber: { parents: ['HomeAndConstructionBusiness'] },
+    Electrician: { parents: ['HomeAndConstructionBusiness'] },
+    LegalService: { parents: ['LocalBusiness'] },
+    Attorney: { parents: ['LegalService'] },
+    RealEstateAgent: { parents: ['LocalBusiness'] },
+    FinancialService: { parents: ['LocalBusiness'] },
+    AccountingService: { parents: ['FinancialService'] },
+    ProfessionalService: { parents: ['LocalBusiness'] },
+    
+    // Events, products and jobs
+    Event: {
+        parents: ['Thing'],
+        properties: {
+            about: ['Thing'],
+            actor: ['Person'],
+            aggregateRating: ['AggregateRating'],
+            attendee: ['Organization', 'Person'],
+            audience: ['Audience'],
+            composer: ['Organization', 'Person'],
+            contributor: ['Organization', 'Person'],
+            director: ['Person'],
+            doorTime: ['DateTime', 'Time'],
+            duration: ['Duration'],
+            endDate: ['Date', 'DateTime'],
+            eventAttendanceMode: ['EventAttendanceModeEnumeration'],
+            eventSchedule: ['Schedule'],
+            eventStatus: ['EventStatusType'],
+            funder: ['Organization', 'Person'],
+            inLanguage: ['Language', 'Text'],
+            isAccessibleForFree: ['Boolean'],
+            keywords: ['DefinedTerm', 'Text', 'URL'],
+            location: ['Place', 'PostalAddress', 'Text', 'VirtualLocation'],
+            maximumAttendeeCapacity: ['Integer'],
+            maximumPhysicalAttendeeCapacity: ['Integer'],
+            maximumVirtualAttendeeCapacity: ['Integer'],
+            offers: ['Demand', 'Offer'],
+            organizer: ['Organization', 'Person'],
+            performer: ['Organization', 'Person'],
+            previousStartDate: ['Date', 'DateTime'],
+            remainingAttendeeCapacity: ['Integer'],
+            review: ['Review'],
+            sponsor: ['Organization', 'Person'],
+            startDate: ['Date', 'DateTime'],
+            subEvent: ['Event'],
+            superEvent: ['Event'],
+            translator: ['Organization', 'Person'],
+            typicalAgeRange: ['Text']
+        }
+    },
+    CourseInstance: {
+        parents: ['Event'],
+        properties: {
+            courseMode: ['Text', 'URL'],
+            courseSchedule: ['Schedule'],
+            courseWorkload: ['Text'],
+            instructor: ['Person']
+        }
+    },
+    Product: {
+        parents: ['Thing'],
+        properties: {
+            additionalProperty: ['PropertyValue'],
+            aggregateRating: ['AggregateRating'],
+            audience: ['Audience'],
+            award: ['Text'],
+            brand: ['Brand', 'Organization'],
+            category: ['Text', 'Thing', 'URL'],
+            color: ['Text'],
+            countryOfOrigin: ['Country'],
+            depth: ['Distance', 'QuantitativeValue'],
+            gtin: ['Text', 'URL'],
+            gtin8: ['Text'],
+            gtin12: ['Text'],
+            gtin13: ['Text'],
+            gtin14: ['Text'],
+            hasMerchantReturnPolicy: ['MerchantReturnPolicy'],
+            height: ['Distance', 'QuantitativeValue'],
+            inProductGroupWithID: ['Text'],
+            isAccessoryOrSparePartFor: ['Product'],
+            isRelatedTo: ['Product', 'Service'],
+            isSimilarTo: ['Product', 'Service'],
+            isVariantOf: ['ProductGroup', 'ProductModel'],
+            itemCondition: ['OfferItemCondition'],
+            keywords: ['DefinedTerm', 'Text', 'URL'],
+            logo: ['ImageObject', 'URL'],
+            manufacturer: ['Organization'],
+            material: ['Product', 'Text', 'URL'],
+            model: ['ProductModel', 'Text'],
+            mpn: ['Text'],
+            offers: ['Demand', 'Offer'],
+            pattern: ['DefinedTerm', 'Text'],
+            productID: ['Text'],
+            releaseDate: ['Date'],
+            review: ['Review'],
+            size: ['DefinedTerm', 'QuantitativeValue', 'SizeSpecification', 'Text'],
+            sku: ['Text'],
+            slogan: ['Text'],
+            weight: ['QuantitativeValue'],
+            width: ['Distance', 'QuantitativeValue']
+        }
+    },
+    JobPosting: {
+        parents: ['Intangible'],
+        properties: {
+            applicantLocationRequirements: ['AdministrativeArea'],
+            applicationContact: ['ContactPoint'],
+            baseSalary: ['MonetaryAmount', 'Number', 'PriceSpecification'],
+            datePosted: ['Date', 'DateTime'],
+            directApply: ['Boolean'],
+            educationRequirements: ['EducationalOccupationalCredential', 'Text'],
+            employerOverview: ['Text'],
+            employmentType: ['Text'],
+            estimatedSalary: ['MonetaryAmount', 'MonetaryAmountDistribution', 'Number'],
+            experienceInPlaceOfEducation: ['Boolean'],
+            experienceRequirements: ['OccupationalExperienceRequirements', 'Text'],
+            hiringOrganization: ['Organization', 'Person'],
+            incentiveCompensation: ['Text'],
+            industry: ['DefinedTerm', 'Text'],
+            jobBenefits: ['Text'],
+            jobImmediateStart: ['Boolean'],
+            jobLocation: ['Place'],
+            jobLocationType: ['Text'],
+            jobStartDate: ['Date', 'Text'],
+            occupationalCategory: ['CategoryCode', 'Text'],
+            qualifications: ['EducationalOccupationalCredential', 'Text'],
+            responsibilities: ['Text'],
+            salaryCurrency: ['Text'],
+            skills: ['DefinedTerm', 'Text'],
+            specialCommitments: ['Text'],
+            title: ['Text'],
+            totalJobOpenings: ['Integer'],
+            validThrough: ['Date', 'DateTime'],
+            workHours: ['Text']
+        }
+    },
+    
+    // Intangibles and structured values
+    Intangible: {
+        parents: ['Thing']
+    },
+    StructuredValue: {
+        parents: ['Intangible']
+    },
+    Brand: {
+        parents: ['Intangible'],
+        properties: {
+            aggregateRating: ['AggregateRating'],
+            logo: ['ImageObject', 'URL'],
+            review: ['Review'],
+            slogan: ['Text']
+        }
+    },
+    ListItem: {
+        parents: ['Intangible'],
+        properties: {
+            item: ['Thing'],
+            nextItem: ['ListItem'],
+            position: ['Integer', 'Text'],
+            previousItem: ['ListItem']
+        }
+    },
+    ItemList: {
+        parents: ['Intangible'],
+        properties: {
+            itemListElement: ['ListItem', 'Text', 'Thing'],
+            itemListOrder: ['Text'],
+            numberOfItems: ['Integer']
+        }
+    },
+    BreadcrumbList: {
+        parents: ['ItemList']
+    },
+    HowToItem: {
+        parents: ['ListItem'],
+        properties: {
+            requiredQuantity: ['Number', 'QuantitativeValue', 'Text']
+        }
+    },
+    HowToTool: {
+        parents: ['HowToItem']
+    },
+    HowToSupply: {
+        parents: ['HowToItem'],
+        properties: {
+            estimatedCost: ['MonetaryAmount', 'Text']
+        }
+    },
+    VirtualLocation: {
+        parents: ['Intangible']
+    },
+    Offer: {
+        parents: ['Intangible'],
+        properties: {
+            acceptedPaymentMethod: ['LoanOrCredit', 'PaymentMethod'],
+            addOn: ['Offer'],
+            aggregateRating: ['AggregateRating'],
+            areaServed: ['AdministrativeArea', 'GeoShape', 'Place', 'Text'],
+            availability: ['ItemAvailability'],
+            availabilityEnds: ['Date', 'DateTime', 'Time'],
+            availabilityStarts: ['Date', 'DateTime', 'Time'],
+            category: ['Text', 'Thing', 'URL'],
+            eligibleRegion: ['GeoShape', 'Place', 'Text'],
+            gtin: ['Text', 'URL'],
+            gtin8: ['Text'],
+            gtin12: ['Text'],
+            gtin13: ['Text'],
+            gtin14: ['Text'],
+            hasMerchantReturnPolicy: ['MerchantReturnPolicy'],
+            inventoryLevel: ['QuantitativeValue'],
+            itemCondition: ['OfferItemCondition'],
+            itemOffered: ['Thing'],
+            mpn: ['Text'],
+            offeredBy: ['Organization', 'Person'],
+            price: ['Number', 'Text'],
+            priceCurrency: ['Text'],
+            priceSpecification: ['PriceSpecification'],
+            priceValidUntil: ['Date'],
+            review: ['Review'],
+            seller: ['Organization', 'Person'],
+            shippingDetails: ['OfferShippingDetails'],
+            sku: ['Text'],
+            validFrom: ['Date', 'DateTime'],
+            validThrough: ['Date', 'DateTime'],
+            warranty: ['WarrantyPromise']
+        }
+    },
+    AggregateOffer: {
+        parents: ['Offer'],
+        properties: {
+            highPrice: ['Number', 'Text'],
+            lowPrice: ['Number', 'Text'],
+            offerCount: ['Integer'],
+            offers: ['Demand', 'Offer']
+        }
+    },
+    Rating: {
+        parents: ['Intangible'],
+        properties: {
+            author: ['Organization', 'Person'],
+            bestRating: ['Number', 'Text'],
+            ratingExplanation: ['Text'],
+            ratingValue: ['Number', 'Text'],
+            reviewAspect: ['Text'],
+            worstRating: ['Number', 'Text']
+        }
+    },
+    AggregateRating: {
+        parents: ['Rating'],
+        properties: {
+            itemReviewed: ['Thing'],
+            ratingCount: ['Integer'],
+            reviewCount: ['Integer']
+        }
+    },
+    EntryPoint: {
+        parents: ['Intangible'],
+        properties: {
+            actionPlatform: ['Text', 'URL'],
+            contentType: ['Text'],
+            encodingType: ['Text'],
+            httpMethod: ['Text'],
+            urlTemplate: ['Text']
+        }
+    },
+    Action: {
+        parents: ['Thing'],
+        properties: {
+            agent: ['Organization', 'Person'],
+            endTime: ['DateTime', 'Time'],
+            instrument: ['Thing'],
+            location: ['Place', 'PostalAddress', 'Text', 'VirtualLocation'],
+            object: ['Thing'],
+            participant: ['Organization', 'Person'],
+            result: ['Thing'],
+            startTime: ['DateTime', 'Time'],
+            target: ['EntryPoint', 'URL']
+        }
+    },
+    SearchAction: {
+        parents: ['Action'],
+        properties: {
+            query: ['Text'],
+            'query-input': ['PropertyValueSpecification', 'Text']
+        }
+    },
+    ContactPoint: {
+        parents: ['StructuredValue'],
+        properties: {
+            areaServed: ['AdministrativeArea', 'GeoShape', 'Place', 'Text'],
+            availableLanguage: ['Language', 'Text'],
+            contactOption: ['ContactPointOption'],
+            contactType: ['Text'],
+            email: ['Text'],
+            faxNumber: ['Text'],
+            hoursAvailable: ['OpeningHoursSpecification'],
+            productSupported: ['Product', 'Text'],
+            telephone: ['Text']
+        }
+    },
+    PostalAddress: {
+        parents: ['ContactPoint'],
+        properties: {
+            addressCountry: ['Country', 'Text'],
+            addressLocality: ['Text'],
+            addressRegion: ['Text'],
+            postOfficeBoxNumber: ['Text'],
+            postalCode: ['Text'],
+            streetAddress: ['Text']
+        }
+    },
+    GeoCoordinates: {
+        parents: ['StructuredValue'],
+        properties: {
+            address: ['PostalAddress', 'Text'],
+            addressCountry: ['Country', 'Text'],
+            elevation: ['Number', 'Text'],
+            latitude: ['Number', 'Text'],
+            longitude: ['Number', 'Text'],
+            postalCode: ['Text']
+        }
+    },
+    OpeningHoursSpecification: {
+        parents: ['StructuredValue'],
+        properties: {
+            closes: ['Time'],
+            dayOfWeek: ['DayOfWeek'],
+            opens: ['Time'],
+            validFrom: ['Date', 'DateTime'],
+            validThrough: ['Date', 'DateTime']
+        }
+    },
+    MonetaryAmount: {
+        parents: ['StructuredValue'],
+        properties: {
+            currency: ['Text'],
+            maxValue: ['Number'],
+            minValue: ['Number'],
+            validFrom: ['Date', 'DateTime'],
+            validThrough: ['Date', 'DateTime'],
+            value: ['Boolean', 'Number', 'StructuredValue', 'Text']
+        }
+    },
+    QuantitativeValue: {
+        parents: ['StructuredValue'],
+        properties: {
+            maxValue: ['Number'],
+            minValue: ['Number'],
+            unitCode: ['Text', 'URL'],
+            unitText: ['Text'],
+            value: ['Boolean', 'Number', 'StructuredValue', 'Text']
+        }
+    },
+    PropertyValue: {
+        parents: ['StructuredValue'],
+        properties: {
+            maxValue: ['Number'],
+            minValue: ['Number'],
+            propertyID: ['Text', 'URL'],
+            unitCode: ['Text', 'URL'],
+            unitText: ['Text'],
+            value: ['Boolean', 'Number', 'StructuredValue', 'Text']
+        }
+    },
+    NutritionInformation: {
+        parents: ['StructuredValue'],
+        properties: {
+            calories: ['Text'],
+            carbohydrateContent: ['Text'],
+            cholesterolContent: ['Text'],
+            fatContent: ['Text'],
+            fiberContent: ['Text'],
+            proteinContent: ['Text'],
+            saturatedFatContent: ['Text'],
+            servingSize: ['Text'],
+            sodiumContent: ['Text'],
+            sugarContent: ['Text'],
+            transFatContent: ['Text'],
+            unsaturatedFatContent: ['Text']
+        }
+    }
+};
+
+// Enumerations and their members; values may also be written as https://schema.org/ URLs
+export const schemaEnumerations = {
+    DayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'PublicHolidays'],
+    EventAttendanceModeEnumeration: ['MixedEventAttendanceMode', 'OfflineEventAttendanceMode', 'OnlineEventAttendanceMode'],
+    EventStatusType: ['EventCancelled', 'EventMovedOnline', 'EventPostponed', 'EventRescheduled', 'EventScheduled'],
+    ItemAvailability: [
+        'BackOrder', 'Discontinued', 'InStock', 'InStoreOnly', 'LimitedAvailability', 'MadeToOrder',
+        'OnlineOnly', 'OutOfStock', 'PreOrder', 'PreSale', 'Reserved', 'SoldOut'
+    ],
+    OfferItemCondition: ['DamagedCondition', 'NewCondition', 'RefurbishedCondition', 'UsedCondition']
+};
+
+// Properties Google requires or recommends per rich result; a nested list means any one of them.
+// Subtypes use the entry of their nearest ancestor (BlogPosting uses Article)
+export const richResultRequirements = {
+    Article: {
+        required: [],
+        recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author']
+    },
+    BreadcrumbList: {
+        required: ['itemListElement'],
+        recommended: []
+    },
+    Course: {
+        required: ['name', 'description'],
+        recommended: ['provider', 'hasCourseInstance', 'offers']
+    },
+    Event: {
+        required: ['name', 'startDate', 'location'],
+        recommended: ['description', 'endDate', 'eventStatus', 'image', 'offers', 'organizer', 'performer']
+    },
+    FAQPage: {
+        required: ['mainEntity'],
+        recommended: []
+    },
+    HowTo: {
+        required: ['name', 'step'],
+        recommended: ['image', 'totalTime', 'supply', 'tool']
+    },
+    JobPosting: {
+        required: ['title', 'description', 'datePosted', 'hiringOrganization', ['jobLocation', 'applicantLocationRequirements']],
+        recommended: ['baseSalary', 'employmentType', 'validThrough']
+    },
+    LocalBusiness: {
+        required: ['name', 'address'],
+        recommended: ['url', 'telephone', 'geo', 'openingHoursSpecification', 'priceRange', 'image']
+    },
+    Organization: {
+        required: [],
+        recommended: ['name', 'url', 'logo']
+    },
+    Product: {
+        required: ['name', ['offers', 'review', 'aggregateRating']],
+        recommended: ['image', 'description', 'brand', ['sku', 'mpn', 'gtin', 'gtin8', 'gtin12', 'gtin13', 'gtin14']]
+    },
+    Recipe: {
+        required: ['name', 'image'],
+        recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'recipeYield', 'totalTime', 'nutrition']
+    },
+    SoftwareApplication: {
+        required: ['name', 'offers', ['aggregateRating', 'review']],
+        recommended: ['applicationCategory', 'operatingSystem']
+    },
+    VideoObject: {
+        required: ['name', 'thumbnailUrl', 'uploadDate'],
+        recommended: ['description', 'duration', ['contentUrl', 'embedUrl']]
+    },
+    WebSite: {
+        required: ['name', 'url'],
+        recommended: ['alternateName']
+    }
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * BROWSERCONFIG GENERATOR MODULE
+ * Builds the browserconfig.xml referenced by the msapplication-config meta tag
+ */
+
+export class BrowserConfigGenerator {
+    constructor() {
+        this.defaultPath = '/browserconfig.xml';
+        
+        // Form field => <tile> element name
+        this.tileImages = {
+            msapplication_square70: 'square70x70logo',
+            msapplication_square150: 'square150x150logo',
+            msapplication_square310: 'square310x310logo',
+            msapplication_wide310: 'wide310x150logo'
+        };
+    }
+    
+    /**
+     * Check whether any tile images are configured
+     */
+    hasTiles(data) {
+        return Object.keys(this.tileImages).some(field => Boolean(data[field]));
+    }
+    
+    /**
+     * Check whether a browserconfig.xml should be produced
+     */
+    hasBrowserConfig(data) {
+        if (data.msapplication_config === 'none') {
+            return false;
+        }
+        
+        return this.hasTiles(data) || Boolean(data.msapplication_config);
+    }
+    
+    /**
+     * Path used by both the meta tag and the downloaded file
+     */
+    getPath(data) {
+        return data.msapplication_config || this.defaultPath;
+    }
+    
+    /**
+     * File name taken from the config path
+     */
+    getFilename(data) {
+        const path = this.getPath(data).split(/[?#]/)[0];
+        return path.split('/').pop() || 'browserconfig.xml';
+    }
+    
+    /**
+     * Build the XML document
+     */
+    generate(data) {
+        const tile = [];
+        
+        for (const [field, element] of Object.entries(this.tileImages)) {
+            if (data[field]) {
+                tile.push(`            <${element} src="${this.escapeXml(data[field])}"/>`);
+            }
+        }
+        
+        if (data.msapplication_tilecolor) {
+            tile.push(`            <TileColor>${this.escapeXml(data.msapplication_tilecolor)}</TileColor>`);
+        }
+        
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<browserconfig>',
+            '    <msapplication>',
+            '        <tile>',
+            ...tile,
+            '        </tile>',
+            '    </msapplication>',
+            '</browserconfig>'
+        ].join('\n');
+    }
+    
+    /**
+     * Validate the tile configuration
+     */
+    validate(data) {
+        const errors = [];
+        const warnings = [];
+        
+        if (data.msapplication_config === 'none' && this.hasTiles(data)) {
+            warnings.push('msapplication-config is "none", so the tile images are never requested');
+        }
+        
+        if (this.hasBrowserConfig(data) && !data.msapplication_square150) {
+            warnings.push('Add a 150x150 tile, it is the default size for pinned sites');
+        }
+        
+        if (this.hasBrowserConfig(data) && !/\.xml$/i.test(this.getFilename(data))) {
+            warnings.push('The MS Application Config path should point to an .xml file');
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+    
+    /**
+     * Escape XML special characters
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
\ No newline at end of file
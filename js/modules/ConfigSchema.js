@@ -0,0 +1,400 @@
+/**
+ * CONFIG SCHEMA MODULE
+ * Versioned export format, migrations for older files and import validation
+ */
+
+import { formCategories } from '../data/formCategories.js';
+import { Duration } from './Duration.js';
+
+export class ConfigSchema {
+    constructor() {
+        this.version = '3.1.0';
+        
+        // Upgrade steps, applied in order until the file reaches the current version
+        this.migrations = [
+            {
+                from: '1.0.0',
+                to: '2.0.0',
+                // Unversioned files hold the bare form data
+                migrate: config => (this.isObject(config.data) ? config : { data: config })
+            },
+            {
+                from: '2.0.0',
+                to: '3.0.0',
+                // Same page format; workspace files only exist from 3.0.0
+                migrate: config => config
+            },
+            {
+                from: '3.0.0',
+                to: '3.1.0',
+                // The single article author name became a list of authors
+                migrate: config => this.mapPages(config, data => this.migrateAuthors(data))
+            }
+        ];
+        
+        // Old field name => current field name; add an entry whenever a field is renamed
+        this.renamedFields = {};
+        
+        this.duration = new Duration();
+        
+        // Field definitions indexed by name
+        this.fields = new Map();
+        Object.values(formCategories).forEach(category => {
+            category.fields.forEach(field => this.fields.set(field.name, field));
+        });
+        
+        // Fields an additional schema node may hold
+        this.schemaNodeFields = formCategories.schema.fields
+            .filter(field => !field.pageLevel)
+            .map(field => field.name);
+    }
+    
+    /**
+     * Migrate and validate an imported file
+     * Returns { kind, config, report }; report.errors means nothing may be applied
+     */
+    import(raw) {
+        const report = this.createReport();
+        
+        if (!this.isObject(raw)) {
+            report.errors.push('The file does not contain a configuration object');
+            return { kind: null, config: null, report };
+        }
+        
+        const version = typeof raw.version === 'string' ? raw.version : '1.0.0';
+        report.version = version;
+        
+        if (!/^\d+\.\d+\.\d+$/.test(version)) {
+            report.errors.push(`Unrecognized version "${version}"`);
+            return { kind: null, config: null, report };
+        }
+        
+        if (this.compareVersions(version, this.version) > 0) {
+            report.errors.push(`The file was created by a newer version (${version}); this app reads up to ${this.version}`);
+            return { kind: null, config: null, report };
+        }
+        
+        const migrated = this.migrate(_.cloneDeep(raw), version, report);
+        if (!migrated) {
+            return { kind: null, config: null, report };
+        }
+        
+        if (Array.isArray(migrated.pages)) {
+            return { kind: 'workspace', config: this.validateWorkspace(migrated, report), report };
+        }
+        
+        if (!this.isObject(migrated.data)) {
+            report.errors.push('"data" must be an object of form fields');
+            return { kind: null, config: null, report };
+        }
+        
+        return {
+            kind: 'page',
+            config: { version: this.version, data: this.validateData(migrated.data, report) },
+            report
+        };
+    }
+    
+    /**
+     * Run the migration chain up to the current version
+     */
+    migrate(config, version, report) {
+        let current = version;
+        let result = config;
+        
+        while (current !== this.version) {
+            const migration = this.migrations.find(m => m.from === current);
+            
+            if (!migration) {
+                report.errors.push(`No migration from version ${current}`);
+                return null;
+            }
+            
+            result = migration.migrate(result);
+            current = migration.to;
+        }
+        
+        if (version !== this.version) {
+            report.migratedFrom = version;
+        }
+        
+        return { ...result, version: this.version };
+    }
+    
+    /**
+     * Apply a function to the data of every page in a page or workspace config
+     */
+    mapPages(config, migrate) {
+        const result = { ...config };
+        
+        if (this.isObject(result.data)) {
+            result.data = migrate(result.data);
+        }
+        
+        if (Array.isArray(result.pages)) {
+            result.pages = result.pages.map(page => (
+                this.isObject(page) && this.isObject(page.data) ? { ...page, data: migrate(page.data) } : page
+            ));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Turn schema_author_name into a one-item schema_authors list, in the page and its schema nodes
+     */
+    migrateAuthors(data) {
+        const convert = node => {
+            if (!this.isObject(node) || !('schema_author_name' in node)) return node;
+            
+            const { schema_author_name: name, ...rest } = node;
+            if (name && !rest.schema_authors) {
+                rest.schema_authors = [{ name, type: 'Person' }];
+            }
+            return rest;
+        };
+        
+        const result = { ...convert(data) };
+        if (Array.isArray(result.schema_nodes)) {
+            result.schema_nodes = result.schema_nodes.map(convert);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Validate a workspace file
+     */
+    validateWorkspace(config, report) {
+        const pages = config.pages
+            .map((page, index) => {
+                if (!this.isObject(page) || !this.isObject(page.data)) {
+                    report.errors.push(`pages[${index}] must be an object with a "data" object`);
+                    return null;
+                }
+                
+                const name = typeof page.name === 'string' && page.name.trim() ? page.name : `Page ${index + 1}`;
+                
+                return {
+                    id: typeof page.id === 'string' ? page.id : undefined,
+                    name,
+                    data: this.validateData(page.data, report, `${name}: `)
+                };
+            })
+            .filter(Boolean);
+        
+        if (pages.length === 0) {
+            report.errors.push('The workspace has no pages');
+        }
+        
+        const defaults = this.isObject(config.defaults)
+            ? this.validateData(config.defaults, report, 'Site defaults: ', true)
+            : {};
+        
+        return {
+            version: this.version,
+            activePageId: config.activePageId,
+            defaults,
+            pages
+        };
+    }
+    
+    /**
+     * Validate form data against the field definitions, dropping bad values
+     */
+    validateData(data, report, context = '', defaultsOnly = false) {
+        const clean = {};
+        
+        for (const [key, value] of Object.entries(data)) {
+            let name = key;
+            
+            if (this.renamedFields[key]) {
+                name = this.renamedFields[key];
+                report.renamed.push({ from: `${context}${key}`, to: name });
+            }
+            
+            // Extra schema nodes hold the same fields as the primary node
+            if (name === 'schema_nodes' && !defaultsOnly) {
+                clean[name] = this.validateSchemaNodes(value, report, context);
+                continue;
+            }
+            
+            const field = this.fields.get(name);
+            
+            if (!field) {
+                report.unknown.push(`${context}${key}`);
+                continue;
+            }
+            
+            if (defaultsOnly && !field.inheritable) {
+                report.invalid.push({ field: `${context}${name}`, reason: 'cannot be a site default' });
+                continue;
+            }
+            
+            const result = this.validateValue(field, value);
+            
+            if (result.valid) {
+                clean[name] = result.value;
+            } else {
+                report.invalid.push({ field: `${context}${name}`, reason: result.reason });
+            }
+        }
+        
+        return clean;
+    }
+    
+    /**
+     * Validate the additional schema nodes of a page
+     */
+    validateSchemaNodes(value, report, context) {
+        if (!Array.isArray(value)) {
+            report.invalid.push({ field: `${context}schema_nodes`, reason: 'must be a list of nodes' });
+            return [];
+        }
+        
+        return value
+            .map((node, index) => {
+                const nodeContext = `${context}schema_nodes[${index}].`;
+                
+                if (!this.isObject(node)) {
+                    report.invalid.push({ field: nodeContext.slice(0, -1), reason: 'must be an object' });
+                    return null;
+                }
+                
+                // Page-wide fields (Open Graph, the site organization...) cannot vary per node
+                const fields = _.pickBy(node, (nodeValue, key) => {
+                    if (this.schemaNodeFields.includes(this.renamedFields[key] || key)) return true;
+                    report.unknown.push(`${nodeContext}${key}`);
+                    return false;
+                });
+                
+                return this.validateData(fields, report, nodeContext);
+            })
+            .filter(Boolean);
+    }
+    
+    /**
+     * Validate one value against its field definition
+     */
+    validateValue(field, value) {
+        switch (field.type) {
+            case 'checkbox':
+                if (typeof value === 'boolean') return { valid: true, value };
+                if (value === 'true' || value === 'false') return { valid: true, value: value === 'true' };
+                return { valid: false, reason: 'must be true or false' };
+            
+            case 'select':
+            case 'radio':
+                if (field.options.some(option => option.value === value)) return { valid: true, value };
+                return { valid: false, reason: `"${value}" is not one of the options` };
+            
+            case 'color':
+                if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return { valid: true, value };
+                return { valid: false, reason: 'must be a #rrggbb color' };
+            
+            case 'number':
+                if (value === '' || (!Array.isArray(value) && value !== null && !isNaN(Number(value)))) {
+                    return { valid: true, value: String(value) };
+                }
+                return { valid: false, reason: 'must be a number' };
+            
+            case 'duration':
+                if (value === '' || this.duration.parse(value) !== null) return { valid: true, value };
+                return { valid: false, reason: 'must be an ISO 8601 duration' };
+            
+            case 'repeater':
+                return this.validateRepeater(field, value);
+            
+            default:
+                if (typeof value === 'string') return { valid: true, value };
+                if (typeof value === 'number') return { valid: true, value: String(value) };
+                return { valid: false, reason: 'must be text' };
+        }
+    }
+    
+    /**
+     * Validate the rows of a repeater field
+     */
+    validateRepeater(field, value) {
+        if (!Array.isArray(value) || !value.every(item => this.isObject(item))) {
+            return { valid: false, reason: 'must be a list of items' };
+        }
+        
+        const items = [];
+        
+        for (const [index, item] of value.entries()) {
+            const row = {};
+            
+            for (const [key, subValue] of Object.entries(item)) {
+                const subField = field.fields.find(definition => definition.name === key);
+                if (!subField) {
+                    return { valid: false, reason: `item ${index + 1} has an unknown property "${key}"` };
+                }
+                
+                const result = this.validateValue(subField, subValue);
+                if (!result.valid) {
+                    return { valid: false, reason: `item ${index + 1} ${key} ${result.reason}` };
+                }
+                
+                row[key] = result.value;
+            }
+            
+            items.push(row);
+        }
+        
+        return { valid: true, value: items };
+    }
+    
+    /**
+     * Empty import report
+     */
+    createReport() {
+        return {
+            version: null,
+            migratedFrom: null,
+            errors: [],
+            unknown: [],
+            renamed: [],
+            invalid: []
+        };
+    }
+    
+    /**
+     * Check whether a report lists any dropped or changed fields
+     */
+    hasIssues(report) {
+        return report.unknown.length > 0 || report.renamed.length > 0 || report.invalid.length > 0;
+    }
+    
+    /**
+     * Build a page export
+     */
+    createPageConfig(data) {
+        return {
+            version: this.version,
+            timestamp: new Date().toISOString(),
+            data
+        };
+    }
+    
+    /**
+     * Compare two x.y.z versions
+     */
+    compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+        
+        for (let i = 0; i < 3; i++) {
+            if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Check for a plain object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * DURATION MODULE
+ * Converts between ISO 8601 durations (PT1H30M) and minutes
+ */
+
+export class Duration {
+    constructor() {
+        // Days, hours, minutes and seconds; years, months and weeks never come up for recipes or videos
+        this.pattern = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i;
+    }
+    
+    /**
+     * Parse an ISO 8601 duration into minutes, or null when it is not one
+     */
+    parse(value) {
+        const text = String(value || '').trim();
+        const match = this.pattern.exec(text);
+        
+        // "P" and "PT" match the pattern but hold no amount
+        if (!match || !/\d/.test(text) || /T$/i.test(text)) return null;
+        
+        const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        return Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60;
+    }
+    
+    /**
+     * Format minutes as an ISO 8601 duration (90 => PT1H30M, 3.5 => PT3M30S)
+     */
+    format(totalMinutes) {
+        const rounded = Math.round(totalMinutes * 60);
+        if (!(rounded > 0)) return '';
+        
+        const hours = Math.floor(rounded / 3600);
+        const minutes = Math.floor(rounded / 60) % 60;
+        const seconds = rounded % 60;
+        
+        return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds ? `${seconds}S` : ''}`;
+    }
+    
+    /**
+     * Split a duration into whole hours, minutes and seconds for display
+     */
+    split(value) {
+        const total = Math.round((this.parse(value) || 0) * 60);
+        return { hours: Math.floor(total / 3600), minutes: Math.floor(total / 60) % 60, seconds: total % 60 };
+    }
+}
\ No newline at end of file
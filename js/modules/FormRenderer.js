@@ -3,16 +3,19 @@
  * Dynamically renders form fields based on category configuration
  */
 
+import { Duration } from './Duration.js';
+
 export class FormRenderer {
     constructor(eventBus, validator) {
         this.eventBus = eventBus;
         this.validator = validator;
+        this.duration = new Duration();
     }
     
     /**
      * Render complete form category
      */
-    render(categoryData, formData = {}) {
+    render(categoryData, formData = {}, inherited = {}) {
         const { title, description, fields } = categoryData;
         
         const html = `
@@ -23,7 +26,8 @@ export class FormRenderer {
                 </div>
                 
                 <div class="form-body">
-                    ${this.renderFields(fields, formData)}
+                    <div class="form-notices" id="formNotices"></div>
+                    ${this.renderFields(fields, formData, inherited)}
                 </div>
             </div>
         `;
@@ -34,24 +38,29 @@ export class FormRenderer {
     /**
      * Render all fields
      */
-    renderFields(fields, formData) {
-        return fields.map(field => this.renderField(field, formData)).join('');
+    renderFields(fields, formData, inherited = {}) {
+        return fields.map(field => this.renderField(field, formData, inherited)).join('');
     }
     
     /**
      * Render single field
      */
-    renderField(field, formData) {
+    renderField(field, formData, inherited = {}) {
         const value = formData[field.name] || field.value || '';
         
-        // Check conditional rendering
+        // Check conditional rendering (value may list several matches)
         if (field.condition) {
-            const conditionMet = formData[field.condition.field] === field.condition.value;
+            const conditionMet = [].concat(field.condition.value).includes(formData[field.condition.field]);
             if (!conditionMet) {
                 return '';
             }
         }
         
+        // Site default available: show it until the page overrides the field
+        if (field.inheritable && !this.isEmpty(inherited[field.name])) {
+            return this.renderInheritedField(field, formData, inherited[field.name]);
+        }
+        
         const fieldHtml = this.renderFieldByType(field, value);
         
         return `
@@ -63,6 +72,40 @@ export class FormRenderer {
         `;
     }
     
+    /**
+     * Render a field that can inherit a site default
+     */
+    renderInheritedField(field, formData, inheritedValue) {
+        const overridden = field.name in formData;
+        let fieldHtml;
+        
+        if (overridden) {
+            fieldHtml = this.renderFieldByType(field, formData[field.name]);
+        } else {
+            // Text-like inputs show the default as placeholder, others show it disabled
+            const shown = ['select', 'color', 'checkbox', 'radio'].includes(field.type) ? inheritedValue : '';
+            fieldHtml = `
+                <fieldset class="inherited-field" disabled>
+                    ${this.renderFieldByType({ ...field, placeholder: this.escapeHtml(inheritedValue).replace(/"/g, '&quot;') }, shown)}
+                </fieldset>
+            `;
+        }
+        
+        return `
+            <div class="form-group ${overridden ? '' : 'form-group-inherited'}" data-field="${field.name}">
+                <div class="form-label-row">
+                    ${this.renderLabel(field)}
+                    <label class="override-toggle" title="Use a page-specific value instead of the site default">
+                        <input type="checkbox" data-override="${field.name}" ${overridden ? 'checked' : ''}>
+                        Override
+                    </label>
+                </div>
+                ${fieldHtml}
+                ${field.help ? this.renderHelp(field.help) : ''}
+            </div>
+        `;
+    }
+    
     /**
      * Render field label
      */
@@ -97,9 +140,11 @@ export class FormRenderer {
             case 'number':
             case 'date':
             case 'datetime-local':
+            case 'time':
                 return this.renderInput(field, value);
                 
             case 'textarea':
+            case 'json':
                 return this.renderTextarea(field, value);
                 
             case 'select':
@@ -114,6 +159,12 @@ export class FormRenderer {
             case 'color':
                 return this.renderColorPicker(field, value);
                 
+            case 'duration':
+                return this.renderDuration(field, value);
+                
+            case 'repeater':
+                return this.renderRepeater(field, value);
+                
             default:
                 return this.renderInput(field, value);
         }
@@ -133,6 +184,7 @@ export class FormRenderer {
             field.maxLength ? `maxlength="${field.maxLength}"` : '',
             field.min !== undefined ? `min="${field.min}"` : '',
             field.max !== undefined ? `max="${field.max}"` : '',
+            field.step !== undefined ? `step="${field.step}"` : '',
             field.pattern ? `pattern="${field.pattern}"` : '',
             `value="${this.escapeHtml(value)}"`
         ].filter(Boolean).join(' ');
@@ -158,7 +210,7 @@ export class FormRenderer {
         const attrs = [
             `id="${field.name}"`,
             `name="${field.name}"`,
-            `class="form-textarea"`,
+            `class="form-textarea${field.type === 'json' ? ' code-input' : ''}"`,
             field.placeholder ? `placeholder="${field.placeholder}"` : '',
             field.required ? 'required' : '',
             field.maxLength ? `maxlength="${field.maxLength}"` : '',
@@ -271,6 +323,118 @@ export class FormRenderer {
         `;
     }
     
+    /**
+     * Render an ISO 8601 duration as hours and minutes inputs (and seconds when field.seconds)
+     */
+    renderDuration(field, value) {
+        const { hours, minutes, seconds } = this.duration.split(value);
+        
+        return `
+            <div class="duration-picker" id="${field.name}">
+                <input type="number" class="form-input" data-duration="${field.name}" data-duration-part="hours"
+                    min="0" placeholder="0" value="${hours || ''}" aria-label="${field.label} hours">
+                <span>h</span>
+                <input type="number" class="form-input" data-duration="${field.name}" data-duration-part="minutes"
+                    min="0" max="59" placeholder="0" value="${minutes || ''}" aria-label="${field.label} minutes">
+                <span>min</span>
+                ${field.seconds ? `
+                    <input type="number" class="form-input" data-duration="${field.name}" data-duration-part="seconds"
+                        min="0" max="59" placeholder="0" value="${seconds || ''}" aria-label="${field.label} seconds">
+                    <span>s</span>
+                ` : ''}
+                <code class="duration-value">${value || ''}</code>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the ISO 8601 value of a duration picker
+     */
+    readDuration(picker) {
+        const part = name => {
+            const input = picker.querySelector(`[data-duration-part="${name}"]`);
+            return input ? Number(input.value) || 0 : 0;
+        };
+        const value = this.duration.format(part('hours') * 60 + part('minutes') + part('seconds') / 60);
+        
+        picker.querySelector('.duration-value').textContent = value;
+        return value;
+    }
+    
+    /**
+     * Render repeatable group of sub-fields
+     */
+    renderRepeater(field, value) {
+        const items = Array.isArray(value) ? value : [];
+        
+        return `
+            <div class="repeater" data-repeater="${field.name}">
+                <div class="repeater-items">
+                    ${items.map((item, index) => this.renderRepeaterItem(field, item, index)).join('')}
+                </div>
+                <div class="repeater-actions">
+                    <button type="button" class="btn-sm btn-secondary" data-repeater-add="${field.name}">
+                        <i class="fas fa-plus"></i> ${field.addLabel || 'Add item'}
+                    </button>
+                    ${(field.actions || []).map(action => `
+                        <button type="button" class="btn-sm btn-secondary" data-field-action="${action.name}">
+                            <i class="${action.icon}"></i> ${action.label}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render one repeater row
+     */
+    renderRepeaterItem(field, item, index) {
+        const subFields = field.fields.map(subField => {
+            // Sub-field names are lodash paths, e.g. manifest_icons.0.src
+            const pathField = { ...subField, name: `${field.name}.${index}.${subField.name}` };
+            const subValue = item[subField.name] !== undefined ? item[subField.name] : (subField.value || '');
+            
+            return `
+                <div class="repeater-field">
+                    ${subField.type === 'checkbox' ? '' : this.renderLabel(pathField)}
+                    ${this.renderFieldByType(pathField, subValue)}
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="repeater-item" data-index="${index}">
+                <div class="repeater-fields">${subFields}</div>
+                <button type="button" class="repeater-remove" data-repeater-remove="${field.name}" data-index="${index}" title="Remove">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Create a new repeater row with sub-field defaults
+     */
+    createRepeaterItem(field) {
+        const item = {};
+        
+        field.fields.forEach(subField => {
+            if (subField.value !== undefined) {
+                item[subField.name] = subField.value;
+            }
+        });
+        
+        return item;
+    }
+    
+    /**
+     * Check for an unset value
+     */
+    isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+    
     /**
      * Escape HTML
      */
@@ -0,0 +1,335 @@
+/**
+ * HEAD IMPORTER MODULE
+ * Parses existing <head> markup back into form data
+ */
+
+import { formCategories } from '../data/formCategories.js';
+import { SchemaImporter } from './SchemaImporter.js';
+
+export class HeadImporter {
+    constructor() {
+        // Meta tags keyed by their name or property attribute (lowercased)
+        this.metaMap = {
+            'description': 'description',
+            'keywords': 'keywords',
+            'author': 'author',
+            'viewport': 'viewport',
+            'robots': 'robots',
+            'googlebot': 'googlebot',
+            'geo.region': 'geo_region',
+            'geo.position': 'geo_position',
+            'icbm': 'icbm',
+            'og:title': 'og_title',
+            'og:description': 'og_description',
+            'og:type': 'og_type',
+            'og:url': 'og_url',
+            'og:image': 'og_image',
+            'og:image:width': 'og_image_width',
+            'og:image:height': 'og_image_height',
+            'og:image:alt': 'og_image_alt',
+            'og:site_name': 'og_site_name',
+            'og:locale': 'og_locale',
+            'og:video': 'og_video',
+            'og:audio': 'og_audio',
+            'fb:app_id': 'fb_app_id',
+            'article:published_time': 'article_published_time',
+            'article:modified_time': 'article_modified_time',
+            'article:author': 'article_author',
+            'article:section': 'article_section',
+            'article:tag': 'article_tag',
+            'twitter:card': 'twitter_card',
+            'twitter:site': 'twitter_site',
+            'twitter:creator': 'twitter_creator',
+            'twitter:title': 'twitter_title',
+            'twitter:description': 'twitter_description',
+            'twitter:image': 'twitter_image',
+            'twitter:image:alt': 'twitter_image_alt',
+            'twitter:player': 'twitter_player',
+            'twitter:player:width': 'twitter_player_width',
+            'twitter:player:height': 'twitter_player_height',
+            'theme-color': 'theme_color',
+            'msapplication-tilecolor': 'msapplication_tilecolor',
+            'msapplication-config': 'msapplication_config',
+            'rating': 'rating',
+            'referrer': 'referrer',
+            'mobile-web-app-capable': 'mobile_web_app_capable',
+            'apple-mobile-web-app-capable': 'apple_mobile_web_app_capable',
+            'apple-mobile-web-app-status-bar-style': 'apple_mobile_web_app_status_bar_style',
+            'apple-mobile-web-app-title': 'apple_mobile_web_app_title',
+            'pinterest-rich-pin': 'pinterest_rich_pin',
+            'linkedin:owner': 'linkedin_owner'
+        };
+        
+        this.httpEquivMap = {
+            'content-language': 'language'
+        };
+        
+        this.linkRelMap = {
+            'canonical': 'canonical',
+            'apple-touch-icon': 'apple_touch_icon',
+            'manifest': 'manifest'
+        };
+        
+        // Fields whose repeated tags are merged into a comma-separated list
+        this.listFields = new Set(['keywords', 'article_tag']);
+        
+        // JSON-LD blocks are mapped onto the schema fields as a whole
+        this.schemaImporter = new SchemaImporter();
+        
+        // Field definitions indexed by name, used to coerce values
+        this.fields = new Map();
+        Object.values(formCategories).forEach(category => {
+            category.fields.forEach(field => this.fields.set(field.name, field));
+        });
+    }
+    
+    /**
+     * Parse an HTML snippet or document into form data
+     */
+    parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const result = {
+            data: {},
+            unrecognized: []
+        };
+        const documents = [];
+        
+        // DOMParser hoists head-only elements into <head> for bare snippets, until the first body element;
+        // everything after it, and the JSON-LD of full documents, ends up in <body>
+        const elements = [...doc.head.children, ...doc.body.children];
+        
+        for (const element of elements) {
+            this.parseElement(result, element, documents);
+        }
+        
+        if (documents.length > 0) {
+            const imported = this.schemaImporter.importDocuments(documents);
+            Object.assign(result.data, imported.data);
+            result.unrecognized.push(...imported.unrecognized);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Parse a top-level element of the head or body
+     */
+    parseElement(result, element, documents) {
+        const tagName = element.tagName.toLowerCase();
+        
+        switch (tagName) {
+            case 'title':
+                this.assign(result, element, 'title', element.textContent.trim());
+                break;
+            
+            case 'meta':
+                this.parseMeta(result, element);
+                break;
+            
+            case 'link':
+                this.parseLink(result, element);
+                break;
+            
+            case 'script':
+                this.parseScript(result, element, documents);
+                break;
+            
+            default: {
+                // Page content is skipped, but JSON-LD nested in it still counts
+                const scripts = Array.from(element.querySelectorAll('script'))
+                    .filter(script => (script.getAttribute('type') || '').toLowerCase() === 'application/ld+json');
+                
+                scripts.forEach(script => this.parseScript(result, script, documents));
+                this.reject(result, element, scripts.length > 0 ? 'Unsupported tag (its JSON-LD was imported)' : 'Unsupported tag');
+            }
+        }
+    }
+    
+    /**
+     * Parse a <meta> element
+     */
+    parseMeta(result, element) {
+        const content = element.getAttribute('content');
+        
+        if (element.hasAttribute('charset')) {
+            this.assign(result, element, 'charset', element.getAttribute('charset').toUpperCase());
+            return;
+        }
+        
+        const httpEquiv = (element.getAttribute('http-equiv') || '').toLowerCase();
+        
+        if (httpEquiv) {
+            if (httpEquiv === 'content-type') {
+                const match = /charset=([\w-]+)/i.exec(content || '');
+                if (match) {
+                    this.assign(result, element, 'charset', match[1].toUpperCase());
+                    return;
+                }
+            }
+            
+            const field = this.httpEquivMap[httpEquiv];
+            if (field) {
+                this.assign(result, element, field, content);
+            } else {
+                this.reject(result, element, `Unknown http-equiv "${httpEquiv}"`);
+            }
+            return;
+        }
+        
+        // Accept og:/twitter: keys under either attribute; pages mix them up
+        const key = (element.getAttribute('name') || element.getAttribute('property') || '').toLowerCase();
+        const field = this.metaMap[key];
+        
+        if (!field) {
+            this.reject(result, element, key ? `Unknown meta "${key}"` : 'Meta tag without name or property');
+            return;
+        }
+        
+        this.assign(result, element, field, content);
+    }
+    
+    /**
+     * Parse a <link> element
+     */
+    parseLink(result, element) {
+        const rel = (element.getAttribute('rel') || '').toLowerCase();
+        const field = this.linkRelMap[rel];
+        
+        if (!field) {
+            this.reject(result, element, rel ? `Unknown link rel "${rel}"` : 'Link without rel');
+            return;
+        }
+        
+        this.assign(result, element, field, element.getAttribute('href'));
+    }
+    
+    /**
+     * Parse a <script> element (JSON-LD only), collecting its document for the schema importer
+     */
+    parseScript(result, element, documents) {
+        const type = (element.getAttribute('type') || '').toLowerCase();
+        
+        if (type !== 'application/ld+json') {
+            this.reject(result, element, 'Only JSON-LD scripts are imported');
+            return;
+        }
+        
+        try {
+            documents.push(JSON.parse(element.textContent));
+        } catch (error) {
+            this.reject(result, element, 'Invalid JSON-LD');
+        }
+    }
+    
+    /**
+     * Assign a parsed value to a field, coercing it to the field type
+     */
+    assign(result, element, field, rawValue) {
+        if (rawValue === null || rawValue === undefined || rawValue === '') {
+            this.reject(result, element, 'Empty value');
+            return false;
+        }
+        
+        const definition = this.fields.get(field);
+        const value = this.coerce(definition, String(rawValue).trim());
+        
+        if (value === null) {
+            const reason = definition.type === 'datetime-local' && this.hasTimeZone(rawValue)
+                ? `Time zone in "${rawValue}" is not supported for ${definition.label}, which holds a local time`
+                : `Value "${rawValue}" is not supported for ${definition.label}`;
+            
+            this.reject(result, element, reason);
+            return false;
+        }
+        
+        if (field in result.data) {
+            if (this.listFields.has(field)) {
+                result.data[field] += `, ${value}`;
+                return true;
+            }
+            
+            this.reject(result, element, `Duplicate ${definition ? definition.label : field}`);
+            return false;
+        }
+        
+        result.data[field] = value;
+        return true;
+    }
+    
+    /**
+     * Coerce a raw attribute value to what the form field expects
+     */
+    coerce(definition, value) {
+        if (!definition) return value;
+        
+        switch (definition.type) {
+            case 'checkbox':
+                return ['yes', 'true', '1'].includes(value.toLowerCase());
+            
+            case 'select': {
+                const option = definition.options.find(opt => opt.value.toLowerCase() === value.toLowerCase());
+                return option ? option.value : null;
+            }
+            
+            case 'color':
+                return this.toHexColor(value);
+            
+            case 'datetime-local': {
+                // datetime-local inputs take "YYYY-MM-DDTHH:mm" without a zone; dropping one would move the instant
+                if (this.hasTimeZone(value)) return null;
+                
+                const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?/.exec(value);
+                return match ? `${match[1]}T${match[2] || '00:00'}` : null;
+            }
+            
+            default:
+                return value;
+        }
+    }
+    
+    /**
+     * Check for a Z or ±hh:mm offset at the end of a date-time
+     */
+    hasTimeZone(value) {
+        return /T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(String(value).trim());
+    }
+    
+    /**
+     * Convert a CSS color to the #rrggbb form color inputs take, or null when it has none
+     */
+    toHexColor(value) {
+        if (/^#[0-9a-f]{6}$/i.test(value)) return value;
+        
+        if (/^#[0-9a-f]{3}$/i.test(value)) {
+            return '#' + value.slice(1).split('').map(c => c + c).join('');
+        }
+        
+        // Let the browser parse names and functions such as red or rgb(0, 0, 0); translucent colors stay rgba()
+        const context = document.createElement('canvas').getContext('2d');
+        if (!context) return null;
+        
+        // An invalid color is ignored, leaving whichever color was set before it
+        const parse = start => {
+            context.fillStyle = start;
+            context.fillStyle = value;
+            return context.fillStyle;
+        };
+        const parsed = parse('#000000');
+        
+        if (parsed !== parse('#ffffff')) return null;
+        
+        return /^#[0-9a-f]{6}$/i.test(parsed) ? parsed : null;
+    }
+    
+    /**
+     * Record an element that could not be mapped to a field
+     */
+    reject(result, element, reason) {
+        const markup = element.outerHTML;
+        
+        result.unrecognized.push({
+            markup: markup.length > 160 ? markup.substring(0, 157) + '...' : markup,
+            reason
+        });
+    }
+}
\ No newline at end of file
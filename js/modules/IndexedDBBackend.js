@@ -0,0 +1,90 @@
+/**
+ * INDEXEDDB BACKEND MODULE
+ * Persists serialized entries in IndexedDB, for workspaces too large for localStorage
+ */
+
+export class IndexedDBBackend {
+    constructor(dbName = 'metatags', storeName = 'entries') {
+        this.name = 'indexedDB';
+        this.persistent = true;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+    
+    /**
+     * Check if the backend can be used
+     */
+    isAvailable() {
+        return typeof window !== 'undefined' && Boolean(window.indexedDB);
+    }
+    
+    /**
+     * Open (and create) the database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(true);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(true);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    }
+    
+    /**
+     * Get all stored [key, value] pairs for a namespace
+     */
+    async entries(namespace) {
+        const range = IDBKeyRange.bound(namespace, namespace + '\uffff');
+        let keysRequest;
+        let valuesRequest;
+        
+        await this.transaction('readonly', store => {
+            keysRequest = store.getAllKeys(range);
+            valuesRequest = store.getAll(range);
+        });
+        
+        return keysRequest.result.map((key, index) => [key, valuesRequest.result[index]]);
+    }
+    
+    /**
+     * Store a value
+     */
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+    
+    /**
+     * Remove a value
+     */
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+    
+    /**
+     * Run requests in a transaction, resolving once it completes
+     */
+    transaction(mode, run) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            
+            run(tx.objectStore(this.storeName));
+            
+            tx.oncomplete = () => resolve();
+            // Quota errors surface as an aborted transaction
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
\ No newline at end of file
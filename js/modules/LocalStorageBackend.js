@@ -0,0 +1,62 @@
+/**
+ * LOCAL STORAGE BACKEND MODULE
+ * Persists serialized entries in window.localStorage
+ */
+
+export class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+        this.persistent = true;
+    }
+    
+    /**
+     * Check if the backend can be used (disabled in some private modes)
+     */
+    isAvailable() {
+        try {
+            const testKey = '__metatags_test__';
+            window.localStorage.setItem(testKey, testKey);
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Prepare the backend
+     */
+    async open() {
+        return true;
+    }
+    
+    /**
+     * Get all stored [key, value] pairs for a namespace
+     */
+    async entries(namespace) {
+        const entries = [];
+        
+        for (let i = 0; i < window.localStorage.length; i++) {
+            const key = window.localStorage.key(i);
+            if (key && key.startsWith(namespace)) {
+                entries.push([key, window.localStorage.getItem(key)]);
+            }
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Store a value (throws QuotaExceededError when full)
+     */
+    async set(key, value) {
+        window.localStorage.setItem(key, value);
+    }
+    
+    /**
+     * Remove a value
+     */
+    async remove(key) {
+        window.localStorage.removeItem(key);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * MANIFEST GENERATOR MODULE
+ * Builds and validates a W3C Web App Manifest from the Mobile & PWA fields
+ */
+
+export class ManifestGenerator {
+    constructor() {
+        this.displayModes = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+        this.orientations = [
+            'any', 'natural', 'landscape', 'portrait',
+            'portrait-primary', 'portrait-secondary',
+            'landscape-primary', 'landscape-secondary'
+        ];
+        this.iconPurposes = ['any', 'maskable', 'monochrome'];
+        this.formFactors = ['narrow', 'wide'];
+        this.imageTypes = {
+            png: 'image/png',
+            svg: 'image/svg+xml',
+            webp: 'image/webp',
+            ico: 'image/x-icon',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg'
+        };
+        this.defaults = {
+            start_url: '/',
+            display: 'standalone',
+            background_color: '#ffffff'
+        };
+    }
+    
+    /**
+     * Check whether the form data describes a manifest
+     */
+    hasManifest(data) {
+        return Boolean(data.manifest) || Object.keys(data).some(key => {
+            const value = data[key];
+            return key.startsWith('manifest_') && (Array.isArray(value) ? value.length > 0 : Boolean(value));
+        });
+    }
+    
+    /**
+     * Build the manifest object
+     */
+    generate(data) {
+        const manifest = {};
+        
+        const name = data.manifest_name || data.apple_mobile_web_app_title || data.og_site_name || data.title;
+        const shortName = data.manifest_short_name || data.apple_mobile_web_app_title;
+        
+        if (name) manifest.name = name;
+        if (shortName) manifest.short_name = shortName;
+        if (data.description) manifest.description = data.description;
+        if (data.language) manifest.lang = data.language;
+        
+        manifest.start_url = data.manifest_start_url || this.defaults.start_url;
+        if (data.manifest_scope) manifest.scope = data.manifest_scope;
+        manifest.display = data.manifest_display || this.defaults.display;
+        if (data.manifest_orientation) manifest.orientation = data.manifest_orientation;
+        
+        if (data.theme_color) manifest.theme_color = data.theme_color;
+        manifest.background_color = data.manifest_background_color || this.defaults.background_color;
+        
+        const icons = this.buildIcons(data);
+        if (icons.length > 0) manifest.icons = icons;
+        
+        const shortcuts = (data.manifest_shortcuts || [])
+            .filter(item => item.name || item.url)
+            .map(item => {
+                const shortcut = { name: item.name, url: item.url };
+                if (item.short_name) shortcut.short_name = item.short_name;
+                if (item.description) shortcut.description = item.description;
+                if (item.icon) {
+                    shortcut.icons = [this.buildImage({ src: item.icon, sizes: '96x96' })];
+                }
+                return shortcut;
+            });
+        if (shortcuts.length > 0) manifest.shortcuts = shortcuts;
+        
+        const screenshots = (data.manifest_screenshots || [])
+            .filter(item => item.src)
+            .map(item => {
+                const screenshot = this.buildImage(item);
+                if (item.form_factor) screenshot.form_factor = item.form_factor;
+                if (item.label) screenshot.label = item.label;
+                return screenshot;
+            });
+        if (screenshots.length > 0) manifest.screenshots = screenshots;
+        
+        return manifest;
+    }
+    
+    /**
+     * Build the icon list, falling back to the Apple touch icon
+     */
+    buildIcons(data) {
+        const icons = (data.manifest_icons || [])
+            .filter(item => item.src)
+            .map(item => {
+                const icon = this.buildImage(item);
+                if (item.purpose && item.purpose !== 'any') icon.purpose = item.purpose;
+                return icon;
+            });
+        
+        if (icons.length === 0 && data.apple_touch_icon) {
+            icons.push(this.buildImage({ src: data.apple_touch_icon, sizes: '180x180' }));
+        }
+        
+        return icons;
+    }
+    
+    /**
+     * Build an ImageResource, inferring the MIME type from the extension
+     */
+    buildImage(item) {
+        const image = { src: item.src };
+        if (item.sizes) image.sizes = item.sizes;
+        
+        const extension = (item.src.split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+        const type = item.type || this.imageTypes[extension];
+        if (type) image.type = type;
+        
+        return image;
+    }
+    
+    /**
+     * Validate a manifest object
+     */
+    validate(manifest) {
+        const errors = [];
+        const warnings = [];
+        
+        if (!manifest.name && !manifest.short_name) {
+            errors.push('Manifest needs a name or short_name');
+        }
+        
+        if (manifest.short_name && manifest.short_name.length > 12) {
+            warnings.push('short_name longer than 12 characters may be truncated on home screens');
+        }
+        
+        if (manifest.display && !this.displayModes.includes(manifest.display)) {
+            errors.push(`display must be one of: ${this.displayModes.join(', ')}`);
+        }
+        
+        if (manifest.orientation && !this.orientations.includes(manifest.orientation)) {
+            errors.push(`orientation must be one of: ${this.orientations.join(', ')}`);
+        }
+        
+        ['theme_color', 'background_color'].forEach(key => {
+            if (manifest[key] && !this.isColor(manifest[key])) {
+                errors.push(`${key} "${manifest[key]}" is not a valid CSS color`);
+            }
+        });
+        
+        const startUrl = this.resolve(manifest.start_url);
+        const scope = this.resolve(manifest.scope || '.', startUrl);
+        
+        if (!startUrl) {
+            errors.push(`start_url "${manifest.start_url}" is not a valid URL`);
+        } else if (scope && !this.isWithinScope(startUrl, scope)) {
+            errors.push('start_url must be within scope');
+        }
+        
+        (manifest.icons || []).forEach((icon, index) => {
+            this.validateImage(icon, `icons[${index}]`, errors);
+            
+            const purposes = (icon.purpose || 'any').split(/\s+/);
+            if (purposes.some(purpose => !this.iconPurposes.includes(purpose))) {
+                errors.push(`icons[${index}].purpose must use: ${this.iconPurposes.join(', ')}`);
+            }
+        });
+        
+        const sizes = (manifest.icons || []).flatMap(icon => (icon.sizes || '').toLowerCase().split(/\s+/));
+        if (!sizes.includes('192x192') || !sizes.includes('512x512')) {
+            warnings.push('Add 192x192 and 512x512 icons so browsers can offer installation');
+        }
+        
+        (manifest.shortcuts || []).forEach((shortcut, index) => {
+            if (!shortcut.name) {
+                errors.push(`shortcuts[${index}] needs a name`);
+            }
+            
+            const url = this.resolve(shortcut.url, startUrl);
+            if (!shortcut.url || !url) {
+                errors.push(`shortcuts[${index}] needs a valid url`);
+            } else if (scope && !this.isWithinScope(url, scope)) {
+                warnings.push(`shortcuts[${index}].url is outside scope and will be ignored`);
+            }
+        });
+        
+        (manifest.screenshots || []).forEach((screenshot, index) => {
+            this.validateImage(screenshot, `screenshots[${index}]`, errors);
+            
+            if (screenshot.form_factor && !this.formFactors.includes(screenshot.form_factor)) {
+                errors.push(`screenshots[${index}].form_factor must be narrow or wide`);
+            }
+        });
+        
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+    
+    /**
+     * Validate an ImageResource
+     */
+    validateImage(image, path, errors) {
+        if (!image.src) {
+            errors.push(`${path} needs a src`);
+        }
+        
+        if (image.sizes && !/^(any|\d+x\d+)(\s+(any|\d+x\d+))*$/i.test(image.sizes.trim())) {
+            errors.push(`${path}.sizes "${image.sizes}" must look like "192x192" or "any"`);
+        }
+    }
+    
+    /**
+     * Resolve a manifest URL against a placeholder origin
+     */
+    resolve(url, base = 'https://example.com/') {
+        try {
+            return new URL(url, base);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Check that a URL is inside the manifest scope
+     */
+    isWithinScope(url, scope) {
+        return url.origin === scope.origin && url.pathname.startsWith(scope.pathname);
+    }
+    
+    /**
+     * Check a CSS color value
+     */
+    isColor(value) {
+        if (window.CSS && window.CSS.supports) {
+            return window.CSS.supports('color', value);
+        }
+        
+        return /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value);
+    }
+    
+    /**
+     * File name taken from the manifest link path
+     */
+    getFilename(data) {
+        const path = (data.manifest || '').split(/[?#]/)[0];
+        return path.split('/').pop() || 'manifest.json';
+    }
+    
+    /**
+     * Serialize the manifest
+     */
+    toJson(manifest) {
+        return JSON.stringify(manifest, null, 2);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * MEMORY BACKEND MODULE
+ * Non-persistent storage backend, used for tests and as the last fallback
+ */
+
+export class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.persistent = false;
+        this.items = new Map();
+    }
+    
+    /**
+     * Check if the backend can be used
+     */
+    isAvailable() {
+        return true;
+    }
+    
+    /**
+     * Prepare the backend
+     */
+    async open() {
+        return true;
+    }
+    
+    /**
+     * Get all stored [key, value] pairs for a namespace
+     */
+    async entries(namespace) {
+        return Array.from(this.items.entries()).filter(([key]) => key.startsWith(namespace));
+    }
+    
+    /**
+     * Store a value
+     */
+    async set(key, value) {
+        this.items.set(key, value);
+    }
+    
+    /**
+     * Remove a value
+     */
+    async remove(key) {
+        this.items.delete(key);
+    }
+}
\ No newline at end of file
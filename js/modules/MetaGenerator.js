@@ -3,8 +3,36 @@
  * Generates comprehensive meta tags for SEO and social media
  */
 
+import { BrowserConfigGenerator } from './BrowserConfigGenerator.js';
+import { Duration } from './Duration.js';
+import { formCategories, articleTypes } from '../data/formCategories.js';
+
 export class MetaGenerator {
     constructor() {
+        this.browserConfig = new BrowserConfigGenerator();
+        this.duration = new Duration();
+        
+        // Fields that belong to one schema node; the rest of the Schema category applies to the page
+        this.schemaNodeFields = formCategories.schema.fields
+            .filter(field => !field.pageLevel)
+            .map(field => field.name);
+        
+        // Nodes built from page-level fields rather than a node's schema fields
+        this.pageNodeBuilders = {
+            BreadcrumbList: this.buildBreadcrumbList.bind(this),
+            Organization: this.buildSiteOrganization.bind(this)
+        };
+        
+        // Values copied into empty fields when a schema type is picked (field => source field)
+        this.schemaPrefills = {
+            VideoObject: {
+                schema_name: 'og_title',
+                schema_description: 'og_description',
+                video_content_url: 'og_video',
+                video_thumbnail_url: 'og_image'
+            }
+        };
+        
         this.generators = {
             basic: this.generateBasicMeta.bind(this),
             seo: this.generateSEOMeta.bind(this),
@@ -20,17 +48,40 @@ export class MetaGenerator {
     /**
      * Generate all meta tags
      */
-    generate(formData) {
+    generate(formData, defaults = {}) {
+        return this.formatTags(this.generateTags(formData, defaults));
+    }
+    
+    /**
+     * Generate the tag list for all categories
+     */
+    generateTags(formData, defaults = {}) {
         const tags = [];
+        const data = this.resolveValues(formData, defaults);
         
         // Generate tags for each category
         for (const [category, generator] of Object.entries(this.generators)) {
-            const categoryTags = generator(formData);
+            const categoryTags = generator(data);
             tags.push(...categoryTags);
         }
         
-        // Format and return
-        return this.formatTags(tags);
+        return tags;
+    }
+    
+    /**
+     * Merge site-wide defaults with the page's own values
+     */
+    resolveValues(formData, defaults = {}) {
+        const data = { ...formData };
+        
+        // A field present on the page overrides the default, even when empty
+        for (const [key, value] of Object.entries(defaults)) {
+            if (!(key in formData)) {
+                data[key] = value;
+            }
+        }
+        
+        return data;
     }
     
     /**
@@ -264,59 +315,877 @@ export class MetaGenerator {
      * Generate Schema.org Structured Data
      */
     generateSchemaOrg(data) {
-        const tags = [];
+        const schemas = this.buildSchemas(data).map(node => node.schema);
         
-        if (data.schema_type) {
-            const schema = {
-                '@context': 'https://schema.org',
-                '@type': data.schema_type
-            };
+        if (schemas.length === 0) {
+            return [];
+        }
+        
+        if (data.schema_output === 'graph') {
+            return [this.createJsonLdTag({ '@context': 'https://schema.org', '@graph': schemas })];
+        }
+        
+        return schemas.map(schema => this.createJsonLdTag({ '@context': 'https://schema.org', ...schema }));
+    }
+    
+    /**
+     * Schema nodes of a page with the JSON-LD object built for each
+     */
+    buildSchemas(data) {
+        const nodes = this.getSchemaNodes(data);
+        const baseUrl = data.canonical || data.og_url || '';
+        
+        // @id is only needed once nodes can point at each other
+        const withIds = nodes.length > 1 || nodes.some(node => node.data.schema_id);
+        
+        return nodes.map(node => ({ ...node, schema: this.buildSchemaNode(node, baseUrl, withIds) }));
+    }
+    
+    /**
+     * Schema nodes of a page: the main node, the added nodes, the breadcrumbs and the site organization
+     * Added nodes share the page's other fields (e.g. geo_position) but not the main node's schema fields
+     */
+    getSchemaNodes(data) {
+        const shared = _.omit(data, this.schemaNodeFields);
+        const counts = {};
+        
+        const nodes = [data, ...(data.schema_nodes || []).map(node => ({ ...shared, ...node }))]
+            .filter(node => node.schema_type)
+            .map(node => {
+                const slug = node.schema_type.toLowerCase();
+                counts[slug] = (counts[slug] || 0) + 1;
+                
+                return {
+                    id: node.schema_id || (counts[slug] > 1 ? `#${slug}-${counts[slug]}` : `#${slug}`),
+                    type: node.schema_type,
+                    data: node,
+                    pageLevel: false
+                };
+            });
+        
+        if (this.getBreadcrumbs(data).length > 0) {
+            nodes.push({ id: '#breadcrumb', type: 'BreadcrumbList', data, pageLevel: true });
+        }
+        
+        // Site organization, unless the page itself describes an Organization
+        if (data.organization_name && !nodes.some(node => node.type === 'Organization')) {
+            nodes.push({ id: '#organization', type: 'Organization', data, pageLevel: true });
+        }
+        
+        return nodes;
+    }
+    
+    /**
+     * Build one schema node, with its @id and references
+     */
+    buildSchemaNode(node, baseUrl, withIds) {
+        const schema = { '@type': node.type };
+        
+        if (withIds) {
+            schema['@id'] = this.resolveNodeId(node.id, baseUrl);
+        }
+        
+        Object.assign(schema, node.pageLevel
+            ? this.pageNodeBuilders[node.type](node.data)
+            : this.buildNodeProperties(node.data));
+        
+        // Page-level nodes are built from the whole page, so the main node's extras must not reach them
+        if (!node.pageLevel) {
+            // Additional properties override generated ones; the node's identity stays with its fields
+            const additional = this.parseAdditionalProperties(node.data.schema_additional_properties);
+            Object.assign(schema, _.omit(additional, ['@context', '@type', '@id']));
             
-            // Add schema properties based on type
-            if (data.schema_name) schema.name = data.schema_name;
-            if (data.schema_description) schema.description = data.schema_description;
-            if (data.schema_url) schema.url = data.schema_url;
-            if (data.schema_image) schema.image = data.schema_image;
+            // References replace the property's own value; several for one property become a list
+            const references = _.groupBy(
+                (node.data.schema_references || []).filter(reference => reference.property && reference.target),
+                reference => reference.property.trim()
+            );
             
-            // Organization specific
-            if (data.schema_type === 'Organization') {
-                if (data.schema_logo) schema.logo = data.schema_logo;
-                if (data.schema_contact_type) {
-                    schema.contactPoint = {
-                        '@type': 'ContactPoint',
-                        telephone: data.schema_telephone,
-                        contactType: data.schema_contact_type
-                    };
-                }
+            for (const [property, items] of Object.entries(references)) {
+                const targets = items.map(reference => ({ '@id': this.resolveNodeId(reference.target.trim(), baseUrl) }));
+                schema[property] = targets.length === 1 ? targets[0] : targets;
             }
+        }
+        
+        return schema;
+    }
+    
+    /**
+     * Parse the additional properties JSON of a node; invalid JSON adds nothing
+     */
+    parseAdditionalProperties(value) {
+        if (!value) return {};
+        
+        try {
+            const properties = JSON.parse(value);
+            return _.isPlainObject(properties) ? properties : {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Properties of a node built from the schema fields
+     */
+    buildNodeProperties(data) {
+        const schema = {};
+        
+        // Add schema properties based on type
+        if (data.schema_name) schema.name = data.schema_name;
+        if (data.schema_description) schema.description = data.schema_description;
+        if (data.schema_url) schema.url = data.schema_url;
+        if (data.schema_image) schema.image = data.schema_image;
+        
+        // Organization specific
+        if (data.schema_type === 'Organization') {
+            if (data.schema_logo) schema.logo = data.schema_logo;
+            if (data.schema_contact_type) {
+                schema.contactPoint = {
+                    '@type': 'ContactPoint',
+                    telephone: data.schema_telephone,
+                    contactType: data.schema_contact_type
+                };
+            }
+        }
+        
+        // Person specific
+        if (data.schema_type === 'Person') {
+            if (data.schema_job_title) schema.jobTitle = data.schema_job_title;
+            if (data.schema_works_for) schema.worksFor = data.schema_works_for;
+        }
+        
+        // Product specific
+        if (data.schema_type === 'Product') {
+            Object.assign(schema, this.buildProductSchema(data));
+        }
+        
+        // Event specific
+        if (data.schema_type === 'Event') {
+            Object.assign(schema, this.buildEventSchema(data));
+        }
+        
+        // Local business specific (the subtype replaces the generic @type)
+        if (data.schema_type === 'LocalBusiness') {
+            Object.assign(schema, this.buildLocalBusinessSchema(data));
+        }
+        
+        // Recipe specific
+        if (data.schema_type === 'Recipe') {
+            Object.assign(schema, this.buildRecipeSchema(data));
+        }
+        
+        // WebSite specific
+        if (data.schema_type === 'WebSite') {
+            Object.assign(schema, this.buildWebSiteSchema(data));
+        }
+        
+        // Video specific
+        if (data.schema_type === 'VideoObject') {
+            Object.assign(schema, this.buildVideoSchema(data));
+        }
+        
+        // Job posting specific
+        if (data.schema_type === 'JobPosting') {
+            Object.assign(schema, this.buildJobPostingSchema(data));
+        }
+        
+        // Course specific
+        if (data.schema_type === 'Course') {
+            Object.assign(schema, this.buildCourseSchema(data));
+        }
+        
+        // Software application specific
+        if (data.schema_type === 'SoftwareApplication') {
+            Object.assign(schema, this.buildSoftwareSchema(data));
+        }
+        
+        // FAQ page specific
+        if (data.schema_type === 'FAQPage') {
+            Object.assign(schema, this.buildFaqSchema(data));
+        }
+        
+        // How-to specific
+        if (data.schema_type === 'HowTo') {
+            Object.assign(schema, this.buildHowToSchema(data));
+        }
+        
+        // Article family (BlogPosting, NewsArticle...)
+        if (articleTypes.includes(data.schema_type)) {
+            Object.assign(schema, this.buildArticleSchema(data));
+        }
+        
+        return schema;
+    }
+    
+    /**
+     * Properties of the site organization from the Site Defaults
+     */
+    buildSiteOrganization(data) {
+        const organization = { name: data.organization_name };
+        
+        if (data.organization_url) organization.url = data.organization_url;
+        if (data.organization_logo) organization.logo = data.organization_logo;
+        
+        const sameAs = (data.organization_same_as || '').split('\n').map(url => url.trim()).filter(Boolean);
+        if (sameAs.length > 0) organization.sameAs = sameAs;
+        
+        return organization;
+    }
+    
+    /**
+     * Values to fill into the empty fields of a node when its schema type is picked
+     */
+    getSchemaPrefill(type, node, data) {
+        const prefill = {};
+        
+        for (const [field, source] of Object.entries(this.schemaPrefills[type] || {})) {
+            if (!node[field] && data[source]) prefill[field] = data[source];
+        }
+        
+        return prefill;
+    }
+    
+    /**
+     * Breadcrumb items that have a name
+     */
+    getBreadcrumbs(data) {
+        return (data.breadcrumbs || []).filter(item => item.name && item.name.trim());
+    }
+    
+    /**
+     * BreadcrumbList properties: one ListItem per breadcrumb, in order
+     */
+    buildBreadcrumbList(data) {
+        return {
+            itemListElement: this.getBreadcrumbs(data).map((crumb, index) => {
+                const item = { '@type': 'ListItem', position: index + 1, name: crumb.name.trim() };
+                
+                // Google accepts a last item without URL (the current page)
+                if (crumb.url) item.item = crumb.url;
+                
+                return item;
+            })
+        };
+    }
+    
+    /**
+     * Breadcrumb trail from the path segments of a URL, starting at the home page
+     */
+    deriveBreadcrumbs(pageUrl) {
+        let url;
+        try {
+            url = new URL(pageUrl);
+        } catch (e) {
+            return [];
+        }
+        
+        const segments = url.pathname.split('/').filter(Boolean);
+        const trail = [{ name: 'Home', url: `${url.origin}/` }];
+        
+        segments.forEach((segment, index) => {
+            const path = segments.slice(0, index + 1).join('/');
+            const last = index === segments.length - 1;
             
-            // Person specific
-            if (data.schema_type === 'Person') {
-                if (data.schema_job_title) schema.jobTitle = data.schema_job_title;
-                if (data.schema_works_for) schema.worksFor = data.schema_works_for;
+            // "running-shoes.html" => "Running shoes"
+            let name = segment;
+            try {
+                name = decodeURIComponent(segment);
+            } catch (e) {
+                // Keep malformed escapes as they are
             }
+            name = name.replace(/\.[a-z0-9]+$/i, '').replace(/[-_+]+/g, ' ').trim();
             
-            // Article specific
-            if (data.schema_type === 'Article') {
-                if (data.schema_headline) schema.headline = data.schema_headline;
-                if (data.schema_date_published) schema.datePublished = data.schema_date_published;
-                if (data.schema_date_modified) schema.dateModified = data.schema_date_modified;
-                if (data.schema_author_name) {
-                    schema.author = {
-                        '@type': 'Person',
-                        name: data.schema_author_name
+            trail.push({
+                name: name.charAt(0).toUpperCase() + name.slice(1),
+                url: last ? `${url.origin}${url.pathname}` : `${url.origin}/${path}/`
+            });
+        });
+        
+        return trail;
+    }
+    
+    /**
+     * Make a "#fragment" node id absolute against the page URL
+     */
+    resolveNodeId(id, baseUrl) {
+        return id.startsWith('#') && baseUrl ? `${baseUrl.replace(/#.*$/, '')}${id}` : id;
+    }
+    
+    /**
+     * Wrap a JSON-LD object in a script tag
+     */
+    createJsonLdTag(json) {
+        return {
+            tag: 'script',
+            type: 'application/ld+json',
+            // Text such as FAQ answers may contain HTML; "</script" or "<!--" would end the block early
+            content: JSON.stringify(json, null, 2).replace(/<(\/script|!--)/gi, '\\u003c$1')
+        };
+    }
+    
+    /**
+     * Product properties: identifiers, offer, aggregate rating and reviews
+     */
+    buildProductSchema(data) {
+        const product = {};
+        
+        if (data.product_brand) {
+            product.brand = { '@type': 'Brand', name: data.product_brand };
+        }
+        if (data.product_sku) product.sku = data.product_sku;
+        if (data.product_gtin) {
+            // Use the specific property for the barcode length (gtin8, gtin12, gtin13, gtin14)
+            const gtin = String(data.product_gtin).replace(/\s/g, '');
+            const property = [8, 12, 13, 14].includes(gtin.length) ? `gtin${gtin.length}` : 'gtin';
+            product[property] = gtin;
+        }
+        if (data.product_mpn) product.mpn = data.product_mpn;
+        
+        if (data.product_price || data.product_availability) {
+            product.offers = this.buildOffer(data);
+        }
+        
+        if (data.product_rating_value) {
+            product.aggregateRating = this.buildAggregateRating(data);
+        }
+        
+        const reviews = (data.product_reviews || [])
+            .filter(review => review.author || review.rating || review.body)
+            .map(review => {
+                const entry = { '@type': 'Review' };
+                
+                if (review.author) entry.author = { '@type': 'Person', name: review.author };
+                if (review.date) entry.datePublished = review.date;
+                if (review.rating) {
+                    entry.reviewRating = {
+                        '@type': 'Rating',
+                        ratingValue: String(review.rating),
+                        bestRating: String(data.product_best_rating || 5)
                     };
                 }
+                if (review.body) entry.reviewBody = review.body;
+                
+                return entry;
+            });
+        
+        if (reviews.length > 0) product.review = reviews;
+        
+        return product;
+    }
+    
+    /**
+     * Offer from the price fields (shared by Product and SoftwareApplication)
+     */
+    buildOffer(data) {
+        const offer = { '@type': 'Offer' };
+        
+        if (data.schema_url) offer.url = data.schema_url;
+        if (data.product_price) offer.price = String(data.product_price);
+        if (data.product_currency) offer.priceCurrency = data.product_currency.toUpperCase();
+        if (data.product_availability) offer.availability = `https://schema.org/${data.product_availability}`;
+        if (data.product_price_valid_until) offer.priceValidUntil = data.product_price_valid_until;
+        if (data.product_seller) {
+            offer.seller = { '@type': 'Organization', name: data.product_seller };
+        }
+        
+        return offer;
+    }
+    
+    /**
+     * AggregateRating from the rating fields (shared by Product and SoftwareApplication)
+     */
+    buildAggregateRating(data) {
+        const rating = {
+            '@type': 'AggregateRating',
+            ratingValue: String(data.product_rating_value),
+            bestRating: String(data.product_best_rating || 5)
+        };
+        
+        if (data.product_review_count) {
+            rating.reviewCount = String(data.product_review_count);
+        }
+        
+        return rating;
+    }
+    
+    /**
+     * Event properties: dates, status, location, organizer, performers and tickets
+     */
+    buildEventSchema(data) {
+        const event = {};
+        const mode = data.event_attendance_mode || 'OfflineEventAttendanceMode';
+        
+        if (data.event_start_date) event.startDate = this.withTimezone(data.event_start_date, data.event_timezone);
+        if (data.event_end_date) event.endDate = this.withTimezone(data.event_end_date, data.event_timezone);
+        if (data.event_status) event.eventStatus = `https://schema.org/${data.event_status}`;
+        if (data.event_status === 'EventRescheduled' && data.event_previous_start_date) {
+            event.previousStartDate = this.withTimezone(data.event_previous_start_date, data.event_timezone);
+        }
+        event.eventAttendanceMode = `https://schema.org/${mode}`;
+        
+        // In-person events take place at a Place, online events at a VirtualLocation, mixed events at both
+        const locations = [];
+        
+        if (mode !== 'OnlineEventAttendanceMode' && (data.event_venue_name || data.event_street || data.event_locality)) {
+            const place = { '@type': 'Place' };
+            if (data.event_venue_name) place.name = data.event_venue_name;
+            place.address = this.buildPostalAddress({
+                streetAddress: data.event_street,
+                addressLocality: data.event_locality,
+                addressRegion: data.event_region,
+                postalCode: data.event_postal_code,
+                addressCountry: data.event_country
+            });
+            locations.push(place);
+        }
+        
+        if (mode !== 'OfflineEventAttendanceMode' && data.event_online_url) {
+            locations.push({ '@type': 'VirtualLocation', url: data.event_online_url });
+        }
+        
+        if (locations.length > 0) {
+            event.location = locations.length === 1 ? locations[0] : locations;
+        }
+        
+        if (data.event_organizer_name) {
+            event.organizer = { '@type': 'Organization', name: data.event_organizer_name };
+            if (data.event_organizer_url) event.organizer.url = data.event_organizer_url;
+        }
+        
+        const performers = (data.event_performers || [])
+            .filter(performer => performer.name)
+            .map(performer => ({ '@type': performer.type || 'Person', name: performer.name }));
+        
+        if (performers.length > 0) {
+            event.performer = performers.length === 1 ? performers[0] : performers;
+        }
+        
+        // Free events have a price of 0
+        const hasPrice = data.event_price !== undefined && data.event_price !== '';
+        
+        if (data.event_ticket_url || hasPrice) {
+            const offer = { '@type': 'Offer' };
+            
+            if (data.event_ticket_url) offer.url = data.event_ticket_url;
+            if (hasPrice) offer.price = String(data.event_price);
+            if (data.event_currency) offer.priceCurrency = data.event_currency.toUpperCase();
+            if (data.event_ticket_availability) offer.availability = `https://schema.org/${data.event_ticket_availability}`;
+            if (data.event_valid_from) offer.validFrom = this.withTimezone(data.event_valid_from, data.event_timezone);
+            
+            event.offers = offer;
+        }
+        
+        return event;
+    }
+    
+    /**
+     * Local business properties: address, coordinates, contact and opening hours
+     */
+    buildLocalBusinessSchema(data) {
+        const business = { '@type': data.business_type || 'LocalBusiness' };
+        
+        const address = this.buildPostalAddress({
+            streetAddress: data.business_street,
+            addressLocality: data.business_locality,
+            addressRegion: data.business_region,
+            postalCode: data.business_postal_code,
+            addressCountry: data.business_country
+        });
+        if (Object.keys(address).length > 1) business.address = address;
+        
+        // Coordinates come from the SEO category's geo.position / ICBM fields
+        const coordinates = this.parseCoordinates(data.geo_position || data.icbm);
+        if (coordinates) {
+            business.geo = { '@type': 'GeoCoordinates', ...coordinates };
+        }
+        
+        if (data.schema_telephone) business.telephone = data.schema_telephone;
+        if (data.business_price_range) business.priceRange = data.business_price_range;
+        
+        const areas = (data.business_area_served || '').split('\n').map(area => area.trim()).filter(Boolean);
+        if (areas.length > 0) business.areaServed = areas.length === 1 ? areas[0] : areas;
+        
+        const hours = [...this.buildWeeklyHours(data.business_hours || []), ...this.buildSpecialHours(data.business_special_hours || [])];
+        if (hours.length > 0) business.openingHoursSpecification = hours;
+        
+        return business;
+    }
+    
+    /**
+     * Weekly opening hours, merging days that share the same times
+     */
+    buildWeeklyHours(rows) {
+        const dayGroups = {
+            Weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+            Weekend: ['Saturday', 'Sunday'],
+            Everyday: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+        };
+        const specs = new Map();
+        
+        rows.filter(row => row.days && row.opens && row.closes).forEach(row => {
+            // Split shifts are separate rows for the same day, so each time range gets its own entry
+            const key = `${row.opens}-${row.closes}`;
+            const days = dayGroups[row.days] || [row.days];
+            
+            if (!specs.has(key)) {
+                specs.set(key, { '@type': 'OpeningHoursSpecification', dayOfWeek: [], opens: row.opens, closes: row.closes });
             }
             
-            tags.push({ 
-                tag: 'script', 
-                type: 'application/ld+json', 
-                content: JSON.stringify(schema, null, 2) 
+            const spec = specs.get(key);
+            days.forEach(day => {
+                if (!spec.dayOfWeek.includes(day)) spec.dayOfWeek.push(day);
             });
+        });
+        
+        return Array.from(specs.values());
+    }
+    
+    /**
+     * Holiday exceptions; a closed day is opens and closes at 00:00
+     */
+    buildSpecialHours(rows) {
+        return rows
+            .filter(row => row.valid_from && (row.closed || (row.opens && row.closes)))
+            .map(row => ({
+                '@type': 'OpeningHoursSpecification',
+                validFrom: row.valid_from,
+                validThrough: row.valid_through || row.valid_from,
+                opens: row.closed ? '00:00' : row.opens,
+                closes: row.closed ? '00:00' : row.closes
+            }));
+    }
+    
+    /**
+     * Parse "lat;lng" (geo.position) or "lat, lng" (ICBM) into GeoCoordinates values
+     */
+    parseCoordinates(value) {
+        const parts = String(value || '').split(/[;,]/);
+        if (parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+        
+        const [latitude, longitude] = parts.map(Number);
+        
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return null;
         }
         
-        return tags;
+        return { latitude, longitude };
+    }
+    
+    /**
+     * Article properties, falling back to the Open Graph article fields
+     */
+    buildArticleSchema(data) {
+        const article = {};
+        const pageUrl = data.canonical || data.og_url;
+        const headline = data.schema_headline || data.schema_name;
+        const published = data.schema_date_published || data.article_published_time;
+        const modified = data.schema_date_modified || data.article_modified_time;
+        const section = data.schema_article_section || data.article_section;
+        
+        if (headline) article.headline = headline;
+        if (!data.schema_image && data.og_image) article.image = data.og_image;
+        if (published) article.datePublished = published;
+        if (modified) article.dateModified = modified;
+        
+        const authors = (data.schema_authors || [])
+            .filter(author => author.name)
+            .map(author => {
+                const entry = { '@type': author.type || 'Person', name: author.name };
+                if (author.url) entry.url = author.url;
+                return entry;
+            });
+        if (authors.length > 0) article.author = authors.length === 1 ? authors[0] : authors;
+        
+        // Publisher: the article's own, or else the site organization
+        const publisherName = data.schema_publisher_name || data.organization_name;
+        if (publisherName) {
+            const logo = data.schema_publisher_logo || (data.schema_publisher_name ? '' : data.organization_logo);
+            article.publisher = { '@type': 'Organization', name: publisherName };
+            if (logo) article.publisher.logo = { '@type': 'ImageObject', url: logo };
+        }
+        
+        if (pageUrl) article.mainEntityOfPage = { '@type': 'WebPage', '@id': pageUrl };
+        if (section) article.articleSection = section;
+        if (data.article_tag) article.keywords = data.article_tag;
+        if (data.schema_word_count) article.wordCount = Number(data.schema_word_count);
+        
+        if (data.schema_paywalled) {
+            article.isAccessibleForFree = false;
+            if (data.schema_paywall_selector) {
+                article.hasPart = {
+                    '@type': 'WebPageElement',
+                    isAccessibleForFree: false,
+                    cssSelector: data.schema_paywall_selector
+                };
+            }
+        }
+        
+        return article;
+    }
+    
+    /**
+     * WebSite properties: names, language and the sitelinks search action
+     */
+    buildWebSiteSchema(data) {
+        const website = {};
+        const language = data.website_language || data.language;
+        
+        if (!data.schema_name && data.og_site_name) website.name = data.og_site_name;
+        if (data.website_alternate_name) website.alternateName = data.website_alternate_name;
+        if (language) website.inLanguage = language;
+        
+        if (data.website_search_url) {
+            website.potentialAction = {
+                '@type': 'SearchAction',
+                target: {
+                    '@type': 'EntryPoint',
+                    urlTemplate: data.website_search_url.trim()
+                },
+                'query-input': 'required name=search_term_string'
+            };
+        }
+        
+        return website;
+    }
+    
+    /**
+     * Video properties: thumbnail, upload date, duration and media URLs
+     */
+    buildVideoSchema(data) {
+        const video = {};
+        
+        if (data.video_thumbnail_url) video.thumbnailUrl = data.video_thumbnail_url;
+        if (data.video_upload_date) video.uploadDate = data.video_upload_date;
+        if (this.duration.parse(data.video_duration)) video.duration = data.video_duration;
+        if (data.video_content_url) video.contentUrl = data.video_content_url;
+        if (data.video_embed_url) video.embedUrl = data.video_embed_url;
+        
+        return video;
+    }
+    
+    /**
+     * Job posting properties: dates, employer, workplace or remote requirements, and salary
+     */
+    buildJobPostingSchema(data) {
+        const job = {};
+        const employer = data.job_hiring_organization || data.organization_name;
+        
+        // Google reads the job title from "title"
+        if (data.schema_name) job.title = data.schema_name;
+        if (data.job_date_posted) job.datePosted = data.job_date_posted;
+        if (data.job_valid_through) job.validThrough = data.job_valid_through;
+        if (data.job_employment_type) job.employmentType = data.job_employment_type;
+        
+        if (employer) {
+            const url = data.job_hiring_organization ? data.job_hiring_organization_url : data.organization_url;
+            job.hiringOrganization = { '@type': 'Organization', name: employer };
+            if (url) job.hiringOrganization.sameAs = url;
+            if (!data.job_hiring_organization && data.organization_logo) job.hiringOrganization.logo = data.organization_logo;
+        }
+        
+        const address = this.buildPostalAddress({
+            streetAddress: data.job_street,
+            addressLocality: data.job_locality,
+            addressRegion: data.job_region,
+            postalCode: data.job_postal_code,
+            addressCountry: data.job_country
+        });
+        if (Object.keys(address).length > 1) {
+            job.jobLocation = { '@type': 'Place', address };
+        }
+        
+        if (data.job_remote) {
+            job.jobLocationType = 'TELECOMMUTE';
+            
+            const countries = (data.job_applicant_countries || '').split(',').map(code => code.trim()).filter(Boolean);
+            if (countries.length > 0) {
+                job.applicantLocationRequirements = countries.map(name => ({ '@type': 'Country', name }));
+            }
+        }
+        
+        if (data.job_salary_min) {
+            const value = { '@type': 'QuantitativeValue', unitText: data.job_salary_unit || 'YEAR' };
+            
+            if (data.job_salary_max) {
+                value.minValue = Number(data.job_salary_min);
+                value.maxValue = Number(data.job_salary_max);
+            } else {
+                value.value = Number(data.job_salary_min);
+            }
+            
+            job.baseSalary = { '@type': 'MonetaryAmount', value };
+            if (data.job_salary_currency) job.baseSalary.currency = data.job_salary_currency.toUpperCase();
+        }
+        
+        return job;
+    }
+    
+    /**
+     * Course properties: provider and course instances
+     */
+    buildCourseSchema(data) {
+        const course = {};
+        const provider = data.course_provider || data.organization_name;
+        
+        if (provider) {
+            const url = data.course_provider ? data.course_provider_url : data.organization_url;
+            course.provider = { '@type': 'Organization', name: provider };
+            if (url) course.provider.sameAs = url;
+        }
+        
+        const instances = (data.course_instances || [])
+            .filter(instance => instance.mode || instance.start)
+            .map(instance => {
+                const entry = { '@type': 'CourseInstance' };
+                
+                if (instance.mode) entry.courseMode = instance.mode;
+                if (instance.start) entry.startDate = instance.start;
+                if (instance.end) entry.endDate = instance.end;
+                if (instance.workload) entry.courseWorkload = instance.workload;
+                if (instance.location) entry.location = instance.location;
+                
+                return entry;
+            });
+        if (instances.length > 0) course.hasCourseInstance = instances;
+        
+        return course;
+    }
+    
+    /**
+     * Software application properties: platform, category, offer and rating
+     */
+    buildSoftwareSchema(data) {
+        const software = {};
+        
+        if (data.software_os) software.operatingSystem = data.software_os;
+        if (data.software_category) software.applicationCategory = data.software_category;
+        
+        // Free applications still need an offer, with price 0
+        if (data.product_price !== undefined && data.product_price !== '') {
+            software.offers = this.buildOffer(data);
+        }
+        
+        if (data.product_rating_value) {
+            software.aggregateRating = this.buildAggregateRating(data);
+        }
+        
+        return software;
+    }
+    
+    /**
+     * FAQ page properties: one Question with its accepted Answer per item
+     */
+    buildFaqSchema(data) {
+        const questions = (data.faq_items || [])
+            .filter(item => item.question && item.answer)
+            .map(item => ({
+                '@type': 'Question',
+                name: item.question.trim(),
+                acceptedAnswer: { '@type': 'Answer', text: item.answer.trim() }
+            }));
+        
+        return questions.length > 0 ? { mainEntity: questions } : {};
+    }
+    
+    /**
+     * How-to properties: total time, tools, supplies and steps
+     */
+    buildHowToSchema(data) {
+        const howTo = {};
+        const lines = value => (value || '').split('\n').map(line => line.trim()).filter(Boolean);
+        
+        if (this.duration.parse(data.howto_total_time)) howTo.totalTime = data.howto_total_time;
+        
+        const tools = lines(data.howto_tools).map(name => ({ '@type': 'HowToTool', name }));
+        if (tools.length > 0) howTo.tool = tools;
+        
+        const supplies = lines(data.howto_supplies).map(name => ({ '@type': 'HowToSupply', name }));
+        if (supplies.length > 0) howTo.supply = supplies;
+        
+        const steps = (data.howto_steps || [])
+            .filter(step => step.text)
+            .map(step => {
+                const entry = { '@type': 'HowToStep', text: step.text };
+                if (step.name) entry.name = step.name;
+                if (step.image) entry.image = step.image;
+                return entry;
+            });
+        if (steps.length > 0) howTo.step = steps;
+        
+        return howTo;
+    }
+    
+    /**
+     * Recipe properties: times, yield, nutrition, ingredients and steps
+     */
+    buildRecipeSchema(data) {
+        const recipe = {};
+        const prep = this.duration.parse(data.recipe_prep_time);
+        const cook = this.duration.parse(data.recipe_cook_time);
+        
+        if (prep) recipe.prepTime = data.recipe_prep_time;
+        if (cook) recipe.cookTime = data.recipe_cook_time;
+        
+        if (this.duration.parse(data.recipe_total_time)) {
+            recipe.totalTime = data.recipe_total_time;
+        } else if (prep || cook) {
+            recipe.totalTime = this.duration.format((prep || 0) + (cook || 0));
+        }
+        
+        if (data.recipe_yield) recipe.recipeYield = data.recipe_yield;
+        if (data.recipe_category) recipe.recipeCategory = data.recipe_category;
+        if (data.recipe_cuisine) recipe.recipeCuisine = data.recipe_cuisine;
+        if (data.recipe_keywords) recipe.keywords = data.recipe_keywords;
+        
+        const nutrition = {
+            calories: data.recipe_calories,
+            fatContent: data.recipe_fat,
+            carbohydrateContent: data.recipe_carbohydrates,
+            proteinContent: data.recipe_protein
+        };
+        
+        if (Object.values(nutrition).some(Boolean)) {
+            recipe.nutrition = { '@type': 'NutritionInformation' };
+            for (const [key, value] of Object.entries(nutrition)) {
+                if (value) recipe.nutrition[key] = value;
+            }
+        }
+        
+        const ingredients = (data.recipe_ingredients || [])
+            .map(item => (item.ingredient || '').trim())
+            .filter(Boolean);
+        if (ingredients.length > 0) recipe.recipeIngredient = ingredients;
+        
+        const steps = (data.recipe_instructions || [])
+            .filter(step => step.text)
+            .map(step => {
+                const entry = { '@type': 'HowToStep', text: step.text };
+                if (step.name) entry.name = step.name;
+                return entry;
+            });
+        if (steps.length > 0) recipe.recipeInstructions = steps;
+        
+        return recipe;
+    }
+    
+    /**
+     * PostalAddress from its parts, leaving out empty ones
+     */
+    buildPostalAddress(parts) {
+        const address = { '@type': 'PostalAddress' };
+        
+        for (const [key, value] of Object.entries(parts)) {
+            if (value) address[key] = value;
+        }
+        
+        return address;
+    }
+    
+    /**
+     * Append a UTC offset to a datetime-local value (2025-07-21T19:00 + -05:00)
+     */
+    withTimezone(value, timezone) {
+        return timezone ? `${value}${timezone}` : value;
     }
     
     /**
@@ -341,11 +1210,12 @@ export class MetaGenerator {
             });
         }
         
-        if (data.msapplication_config) {
+        // Keep the meta tag pointing at the generated browserconfig.xml
+        if (this.browserConfig.hasBrowserConfig(data) || data.msapplication_config) {
             tags.push({ 
                 tag: 'meta', 
                 name: 'msapplication-config', 
-                content: data.msapplication_config 
+                content: this.browserConfig.getPath(data) 
             });
         }
         
@@ -509,14 +1379,9 @@ export class MetaGenerator {
     /**
      * Get statistics
      */
-    getStats(data) {
-        const tags = [];
-        
-        for (const generator of Object.values(this.generators)) {
-            tags.push(...generator(data));
-        }
-        
-        const seoScore = this.calculateSEOScore(data);
+    getStats(data, schemaHealth = 1) {
+        const tags = this.generateTags(data);
+        const seoScore = this.calculateSEOScore(data, schemaHealth);
         const charCount = this.formatTags(tags).length;
         
         return {
@@ -527,9 +1392,9 @@ export class MetaGenerator {
     }
     
     /**
-     * Calculate SEO Score
+     * Calculate SEO Score; schemaHealth (0 to 1) scales the schema points
      */
-    calculateSEOScore(data) {
+    calculateSEOScore(data, schemaHealth = 1) {
         let score = 0;
         const maxScore = 100;
         
@@ -554,8 +1419,8 @@ export class MetaGenerator {
         if (data.robots) score += 5;
         if (data.language) score += 5;
         
-        // Schema (10 points)
-        if (data.schema_type) score += 10;
+        // Schema (10 points), for any JSON-LD node: the main one, added nodes, breadcrumbs or the site organization
+        if (this.getSchemaNodes(data).length > 0) score += Math.round(10 * schemaHealth);
         
         return Math.min(score, maxScore);
     }
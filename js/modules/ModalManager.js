@@ -7,6 +7,9 @@ export class ModalManager {
     constructor() {
         this.container = null;
         this.activeModals = [];
+        
+        // onClose callbacks by modal, run however the modal is closed
+        this.closeCallbacks = new WeakMap();
         this.init();
     }
     
@@ -97,10 +100,14 @@ export class ModalManager {
             </div>
         `;
         
+        if (options.onClose) {
+            this.closeCallbacks.set(backdrop, options.onClose);
+        }
+        
         // Handle backdrop click
         backdrop.addEventListener('click', (e) => {
             if (e.target === backdrop) {
-                this.close(backdrop, options.onClose);
+                this.close(backdrop);
             }
         });
         
@@ -108,7 +115,7 @@ export class ModalManager {
         if (options.showClose) {
             const closeBtn = backdrop.querySelector('.modal-close');
             closeBtn.addEventListener('click', () => {
-                this.close(backdrop, options.onClose);
+                this.close(backdrop);
             });
         }
         
@@ -148,11 +155,17 @@ export class ModalManager {
     }
     
     /**
-     * Close modal
+     * Close modal; the onClose given to show() runs once, whether a button, Escape or the backdrop closed it
      */
     close(modal, onClose = null) {
         if (!modal || !modal.parentNode) return;
         
+        const callback = this.closeCallbacks.get(modal);
+        if (callback) {
+            this.closeCallbacks.delete(modal);
+            callback();
+        }
+        
         modal.classList.remove('show');
         modal.classList.add('hiding');
         
@@ -0,0 +1,525 @@
+/**
+ * OUTPUT FORMATTER MODULE
+ * Converts the generated tag list into framework-specific code
+ */
+
+/**
+ * Raw JavaScript expression embedded in a serialized literal
+ */
+class JsExpression {
+    constructor(render) {
+        this.render = render;
+    }
+}
+
+export class OutputFormatter {
+    constructor(metaGenerator) {
+        this.metaGenerator = metaGenerator;
+        this.indentUnit = '  ';
+        
+        this.formats = {
+            html: {
+                label: 'HTML',
+                language: 'html',
+                extension: 'html',
+                format: this.formatHtml.bind(this)
+            },
+            nextjs: {
+                label: 'Next.js Metadata',
+                language: 'javascript',
+                extension: 'js',
+                format: this.formatNextjs.bind(this)
+            },
+            helmet: {
+                label: 'React Helmet',
+                language: 'javascript',
+                extension: 'jsx',
+                format: this.formatHelmet.bind(this)
+            },
+            nuxt: {
+                label: 'Nuxt useHead',
+                language: 'javascript',
+                extension: 'js',
+                format: this.formatNuxt.bind(this)
+            }
+        };
+    }
+    
+    /**
+     * Format a tag list for the given target
+     */
+    format(tags, target = 'html') {
+        const format = this.formats[target];
+        
+        if (!format) {
+            throw new Error(`Unknown output format: ${target}`);
+        }
+        
+        return format.format(tags);
+    }
+    
+    /**
+     * Get format descriptor (label, language, extension)
+     */
+    getFormat(target) {
+        return this.formats[target] || this.formats.html;
+    }
+    
+    /**
+     * Plain HTML, as produced by MetaGenerator
+     */
+    formatHtml(tags) {
+        return this.metaGenerator.formatTags(tags);
+    }
+    
+    /**
+     * Next.js App Router `metadata` and `viewport` exports
+     */
+    formatNextjs(tags) {
+        const metadata = {};
+        const viewport = {};
+        const other = {};
+        const jsonLd = [];
+        const manual = [];
+        
+        for (const tag of tags) {
+            if (tag.tag === 'title') {
+                metadata.title = tag.content;
+            } else if (tag.tag === 'script') {
+                jsonLd.push(JSON.parse(tag.content));
+            } else if (tag.tag === 'link') {
+                if (!this.mapNextLink(tag, metadata)) manual.push(tag);
+            } else if (tag.charset) {
+                // Next.js always emits <meta charset="utf-8">
+                if (tag.charset.toUpperCase() !== 'UTF-8') manual.push(tag);
+            } else if (tag.property) {
+                if (!this.mapNextProperty(tag, metadata)) manual.push(tag);
+            } else if (tag.name) {
+                this.mapNextName(tag, metadata, viewport, other);
+            } else {
+                manual.push(tag);
+            }
+        }
+        
+        if (Object.keys(other).length > 0) {
+            metadata.other = other;
+        }
+        
+        const sections = [`export const metadata = ${this.toJs(metadata)};`];
+        
+        if (Object.keys(viewport).length > 0) {
+            sections.push(`export const viewport = ${this.toJs(viewport)};`);
+        }
+        
+        if (jsonLd.length > 0) {
+            const value = jsonLd.length === 1 ? jsonLd[0] : jsonLd;
+            sections.push([
+                '// Render in your page component:',
+                `// <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: ${this.jsonScript('jsonLd')} }} />`,
+                `export const jsonLd = ${this.toJs(value)};`
+            ].join('\n'));
+        }
+        
+        if (manual.length > 0) {
+            sections.push(this.renderManualComment(manual));
+        }
+        
+        return sections.join('\n\n');
+    }
+    
+    /**
+     * Map a name= meta tag onto Next.js metadata
+     */
+    mapNextName(tag, metadata, viewport, other) {
+        const content = tag.content;
+        const name = tag.name;
+        
+        if (name.startsWith('twitter:')) {
+            this.mapNextTwitter(name.substring(8), content, metadata, other);
+            return;
+        }
+        
+        switch (name) {
+            case 'description':
+            case 'referrer':
+                metadata[name] = content;
+                break;
+            
+            case 'keywords':
+                metadata.keywords = this.splitList(content);
+                break;
+            
+            case 'author':
+                metadata.authors = [{ name: content }];
+                break;
+            
+            case 'robots':
+                metadata.robots = { ...this.parseRobots(content), ...(metadata.robots || {}) };
+                break;
+            
+            case 'googlebot':
+                metadata.robots = { ...(metadata.robots || {}), googleBot: this.parseRobots(content) };
+                break;
+            
+            case 'viewport':
+                Object.assign(viewport, this.parseViewport(content));
+                break;
+            
+            case 'theme-color':
+                viewport.themeColor = content;
+                break;
+            
+            case 'apple-mobile-web-app-capable':
+                metadata.appleWebApp = { ...(metadata.appleWebApp || {}), capable: true };
+                break;
+            
+            case 'apple-mobile-web-app-title':
+                metadata.appleWebApp = { ...(metadata.appleWebApp || {}), title: content };
+                break;
+            
+            case 'apple-mobile-web-app-status-bar-style':
+                metadata.appleWebApp = { ...(metadata.appleWebApp || {}), statusBarStyle: content };
+                break;
+            
+            default:
+                other[name] = content;
+        }
+    }
+    
+    /**
+     * Map a twitter:* meta tag onto metadata.twitter
+     */
+    mapNextTwitter(key, content, metadata, other) {
+        const twitter = metadata.twitter || (metadata.twitter = {});
+        
+        switch (key) {
+            case 'card':
+            case 'site':
+            case 'creator':
+            case 'title':
+            case 'description':
+                twitter[key] = content;
+                break;
+            
+            case 'image':
+                twitter.images = [{ ...((twitter.images || [])[0]), url: content }];
+                break;
+            
+            case 'image:alt':
+                twitter.images = [{ ...((twitter.images || [])[0]), alt: content }];
+                break;
+            
+            case 'player':
+                twitter.players = [{ ...((twitter.players || [])[0]), playerUrl: content }];
+                break;
+            
+            case 'player:width':
+            case 'player:height':
+                twitter.players = [{
+                    ...((twitter.players || [])[0]),
+                    [key.substring(7)]: Number(content)
+                }];
+                break;
+            
+            default:
+                other[`twitter:${key}`] = content;
+        }
+    }
+    
+    /**
+     * Map a property= meta tag onto Next.js metadata
+     */
+    mapNextProperty(tag, metadata) {
+        const content = tag.content;
+        const openGraph = metadata.openGraph || {};
+        const ogKeys = {
+            'og:title': 'title',
+            'og:description': 'description',
+            'og:url': 'url',
+            'og:site_name': 'siteName',
+            'og:locale': 'locale',
+            'og:type': 'type',
+            'article:published_time': 'publishedTime',
+            'article:modified_time': 'modifiedTime',
+            'article:section': 'section'
+        };
+        const imageKeys = {
+            'og:image': 'url',
+            'og:image:width': 'width',
+            'og:image:height': 'height',
+            'og:image:alt': 'alt'
+        };
+        
+        if (ogKeys[tag.property]) {
+            openGraph[ogKeys[tag.property]] = content;
+        } else if (imageKeys[tag.property]) {
+            const key = imageKeys[tag.property];
+            const image = (openGraph.images || [])[0] || {};
+            image[key] = key === 'width' || key === 'height' ? Number(content) : content;
+            openGraph.images = [image];
+        } else if (tag.property === 'og:video') {
+            openGraph.videos = [{ url: content }];
+        } else if (tag.property === 'og:audio') {
+            openGraph.audio = [{ url: content }];
+        } else if (tag.property === 'article:author') {
+            openGraph.authors = [content];
+        } else if (tag.property === 'article:tag') {
+            openGraph.tags = this.splitList(content);
+        } else if (tag.property === 'fb:app_id') {
+            metadata.facebook = { appId: content };
+            return true;
+        } else {
+            return false;
+        }
+        
+        metadata.openGraph = openGraph;
+        return true;
+    }
+    
+    /**
+     * Map a <link> tag onto Next.js metadata
+     */
+    mapNextLink(tag, metadata) {
+        switch (tag.rel) {
+            case 'canonical':
+                metadata.alternates = { ...(metadata.alternates || {}), canonical: tag.href };
+                return true;
+            
+            case 'apple-touch-icon':
+                metadata.icons = { ...(metadata.icons || {}), apple: tag.href };
+                return true;
+            
+            case 'manifest':
+                metadata.manifest = tag.href;
+                return true;
+            
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * React Helmet JSX component
+     */
+    formatHelmet(tags) {
+        const indent = this.indentUnit.repeat(3);
+        const lines = tags.map(tag => this.renderHelmetTag(tag, indent));
+        
+        return [
+            `import { Helmet } from 'react-helmet';`,
+            '',
+            'export function MetaTags() {',
+            `${this.indentUnit}return (`,
+            `${this.indentUnit.repeat(2)}<Helmet>`,
+            ...lines,
+            `${this.indentUnit.repeat(2)}</Helmet>`,
+            `${this.indentUnit});`,
+            '}'
+        ].join('\n');
+    }
+    
+    /**
+     * Render a single tag as JSX
+     */
+    renderHelmetTag(tag, indent) {
+        if (tag.tag === 'title') {
+            return `${indent}<title>${this.jsxText(tag.content)}</title>`;
+        }
+        
+        if (tag.tag === 'script') {
+            const json = this.toJs(JSON.parse(tag.content), indent);
+            return `${indent}<script type=${this.jsxAttr(tag.type)}>{${this.jsonScript(json)}}</script>`;
+        }
+        
+        const attrs = [];
+        
+        if (tag.tag === 'link') {
+            if (tag.rel) attrs.push(`rel=${this.jsxAttr(tag.rel)}`);
+            if (tag.href) attrs.push(`href=${this.jsxAttr(tag.href)}`);
+            if (tag.type) attrs.push(`type=${this.jsxAttr(tag.type)}`);
+        } else {
+            if (tag.charset) attrs.push(`charSet=${this.jsxAttr(tag.charset)}`);
+            if (tag.name) attrs.push(`name=${this.jsxAttr(tag.name)}`);
+            if (tag.property) attrs.push(`property=${this.jsxAttr(tag.property)}`);
+            if (tag.httpEquiv) attrs.push(`httpEquiv=${this.jsxAttr(tag.httpEquiv)}`);
+            if (tag.content) attrs.push(`content=${this.jsxAttr(tag.content)}`);
+        }
+        
+        return `${indent}<${tag.tag} ${attrs.join(' ')} />`;
+    }
+    
+    /**
+     * Nuxt / Vue `useHead` call
+     */
+    formatNuxt(tags) {
+        const head = {};
+        const meta = [];
+        const link = [];
+        const script = [];
+        
+        for (const tag of tags) {
+            if (tag.tag === 'title') {
+                head.title = tag.content;
+            } else if (tag.tag === 'meta') {
+                const entry = {};
+                if (tag.charset) entry.charset = tag.charset;
+                if (tag.name) entry.name = tag.name;
+                if (tag.property) entry.property = tag.property;
+                if (tag.httpEquiv) entry['http-equiv'] = tag.httpEquiv;
+                if (tag.content) entry.content = tag.content;
+                meta.push(entry);
+            } else if (tag.tag === 'link') {
+                const entry = { rel: tag.rel, href: tag.href };
+                if (tag.type) entry.type = tag.type;
+                link.push(entry);
+            } else if (tag.tag === 'script') {
+                const json = JSON.parse(tag.content);
+                script.push({
+                    type: tag.type,
+                    innerHTML: new JsExpression(indent => this.jsonScript(this.toJs(json, indent)))
+                });
+            }
+        }
+        
+        if (meta.length > 0) head.meta = meta;
+        if (link.length > 0) head.link = link;
+        if (script.length > 0) head.script = script;
+        
+        return `useHead(${this.toJs(head)});`;
+    }
+    
+    /**
+     * Comment listing tags a framework API cannot express
+     */
+    renderManualComment(tags) {
+        const lines = this.metaGenerator.formatTags(tags)
+            .split('\n')
+            .map(line => `// ${line.trim()}`);
+        
+        return ['// Not supported by the Metadata API, add these to your root layout:', ...lines].join('\n');
+    }
+    
+    /**
+     * Expression serializing JSON-LD for a script element, escaping < so user text cannot close the tag
+     */
+    jsonScript(expression) {
+        return `JSON.stringify(${expression}).replace(/</g, '\\\\u003c')`;
+    }
+    
+    /**
+     * Serialize a value as a JavaScript literal
+     */
+    toJs(value, indent = '') {
+        const inner = indent + this.indentUnit;
+        
+        if (value instanceof JsExpression) {
+            return value.render(indent);
+        }
+        
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+            const items = value.map(item => `${inner}${this.toJs(item, inner)}`);
+            return `[\n${items.join(',\n')}\n${indent}]`;
+        }
+        
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value);
+            if (entries.length === 0) return '{}';
+            const items = entries.map(([key, item]) => {
+                const safeKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : this.jsString(key);
+                return `${inner}${safeKey}: ${this.toJs(item, inner)}`;
+            });
+            return `{\n${items.join(',\n')}\n${indent}}`;
+        }
+        
+        if (typeof value === 'string') {
+            return this.jsString(value);
+        }
+        
+        return String(value);
+    }
+    
+    /**
+     * Single-quoted JavaScript string literal
+     */
+    jsString(value) {
+        const escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r');
+        
+        return `'${escaped}'`;
+    }
+    
+    /**
+     * JSX attribute value
+     */
+    jsxAttr(value) {
+        // JSX string attributes cannot escape quotes and decode entities
+        if (/["&\n]/.test(value)) {
+            return `{${this.jsString(value)}}`;
+        }
+        
+        return `"${value}"`;
+    }
+    
+    /**
+     * JSX text child
+     */
+    jsxText(value) {
+        if (/[{}<>&]/.test(value)) {
+            return `{${this.jsString(value)}}`;
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Split a comma-separated list
+     */
+    splitList(value) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    
+    /**
+     * Parse a robots directive string into a Next.js robots object
+     */
+    parseRobots(content) {
+        const robots = {};
+        
+        this.splitList(content.toLowerCase()).forEach(directive => {
+            if (directive === 'index' || directive === 'noindex') {
+                robots.index = directive === 'index';
+            } else if (directive === 'follow' || directive === 'nofollow') {
+                robots.follow = directive === 'follow';
+            } else {
+                robots[directive] = true;
+            }
+        });
+        
+        return robots;
+    }
+    
+    /**
+     * Parse a viewport content string into a Next.js viewport object
+     */
+    parseViewport(content) {
+        const viewport = {};
+        
+        this.splitList(content).forEach(pair => {
+            const [rawKey, rawValue = ''] = pair.split('=').map(part => part.trim());
+            const key = rawKey.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            
+            if (key === 'userScalable') {
+                viewport[key] = rawValue === 'yes' || rawValue === '1';
+            } else if (rawValue !== '' && !isNaN(Number(rawValue))) {
+                viewport[key] = Number(rawValue);
+            } else {
+                viewport[key] = rawValue;
+            }
+        });
+        
+        return viewport;
+    }
+}
\ No newline at end of file
@@ -46,6 +46,9 @@ export class PreviewManager {
         const truncatedTitle = this.truncate(title, 60);
         const truncatedDesc = this.truncate(description, 160);
         
+        // Google shows the breadcrumb trail after the domain instead of the URL path
+        const trail = this.getBreadcrumbTrail(data.breadcrumbs, domain);
+        
         return `
             <div class="preview-google" style="
                 font-family: Arial, sans-serif;
@@ -60,7 +63,7 @@ export class PreviewManager {
                     line-height: 1.3;
                     margin-bottom: 2px;
                 ">
-                    ${this.escapeHtml(domain)}
+                    ${[domain, ...trail].map(part => this.escapeHtml(part)).join(' › ')}
                 </div>
                 <div style="
                     color: #1a0dab;
@@ -83,6 +86,24 @@ export class PreviewManager {
         `;
     }
     
+    /**
+     * Breadcrumb names to show after the domain; the home page item is the domain itself
+     */
+    getBreadcrumbTrail(breadcrumbs, domain) {
+        return (breadcrumbs || [])
+            .filter(crumb => crumb.name && crumb.name.trim())
+            .filter((crumb, index) => {
+                if (index > 0 || !crumb.url) return true;
+                try {
+                    const url = new URL(crumb.url);
+                    return !(url.hostname === domain && url.pathname === '/');
+                } catch (e) {
+                    return true;
+                }
+            })
+            .map(crumb => this.truncate(crumb.name.trim(), 30));
+    }
+    
     /**
      * Generate Facebook preview
      */
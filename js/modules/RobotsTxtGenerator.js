@@ -0,0 +1,223 @@
+/**
+ * ROBOTS.TXT GENERATOR MODULE
+ * Builds robots.txt and checks it against the robots meta directives
+ */
+
+export class RobotsTxtGenerator {
+    constructor() {
+        // Crawlers checked for robots.txt / meta contradictions
+        this.crawlers = [
+            { userAgent: '*', label: 'all crawlers', metaField: 'robots' },
+            { userAgent: 'Googlebot', label: 'Googlebot', metaField: 'googlebot' }
+        ];
+    }
+    
+    /**
+     * Check whether robots.txt content is configured
+     */
+    hasRobotsTxt(data) {
+        return this.getGroups(data).length > 0 || this.splitLines(data.robots_txt_sitemaps).length > 0;
+    }
+    
+    /**
+     * Normalized groups from the repeater rows
+     */
+    getGroups(data) {
+        return (data.robots_txt_groups || [])
+            .map(group => ({
+                userAgents: (group.user_agent || '*').split(',').map(agent => agent.trim()).filter(Boolean),
+                disallow: this.splitLines(group.disallow),
+                allow: this.splitLines(group.allow),
+                crawlDelay: group.crawl_delay
+            }))
+            .filter(group => group.userAgents.length > 0);
+    }
+    
+    /**
+     * Build robots.txt content
+     */
+    generate(data) {
+        const blocks = this.getGroups(data).map(group => {
+            const lines = group.userAgents.map(agent => `User-agent: ${agent}`);
+            
+            group.disallow.forEach(path => lines.push(`Disallow: ${path}`));
+            group.allow.forEach(path => lines.push(`Allow: ${path}`));
+            
+            // A group needs at least one rule; an empty Disallow allows everything
+            if (group.disallow.length === 0 && group.allow.length === 0) {
+                lines.push('Disallow:');
+            }
+            
+            if (group.crawlDelay) {
+                lines.push(`Crawl-delay: ${group.crawlDelay}`);
+            }
+            
+            return lines.join('\n');
+        });
+        
+        const sitemaps = this.splitLines(data.robots_txt_sitemaps).map(url => `Sitemap: ${url}`);
+        if (sitemaps.length > 0) {
+            blocks.push(sitemaps.join('\n'));
+        }
+        
+        return blocks.join('\n\n') + '\n';
+    }
+    
+    /**
+     * Check whether a path may be crawled by a user agent
+     */
+    isAllowed(data, path, userAgent) {
+        const rules = this.selectRules(this.getGroups(data), userAgent);
+        let match = null;
+        
+        // Longest matching pattern wins; Allow wins a tie
+        for (const rule of rules) {
+            if (!rule.pattern || !this.matches(rule.pattern, path)) continue;
+            
+            if (!match ||
+                rule.pattern.length > match.pattern.length ||
+                (rule.pattern.length === match.pattern.length && rule.allow)) {
+                match = rule;
+            }
+        }
+        
+        return {
+            allowed: !match || match.allow,
+            rule: match
+        };
+    }
+    
+    /**
+     * Merge the rules of the groups that apply to a user agent
+     */
+    selectRules(groups, userAgent) {
+        const agent = userAgent.toLowerCase();
+        let bestLength = -1;
+        let selected = [];
+        
+        for (const group of groups) {
+            for (const groupAgent of group.userAgents) {
+                const token = groupAgent.toLowerCase();
+                const length = token === '*' ? 0 : token.length;
+                
+                if (token !== '*' && !agent.startsWith(token)) continue;
+                
+                if (length > bestLength) {
+                    bestLength = length;
+                    selected = [group];
+                } else if (length === bestLength && !selected.includes(group)) {
+                    selected.push(group);
+                }
+            }
+        }
+        
+        return selected.flatMap(group => [
+            ...group.disallow.map(pattern => ({ pattern, allow: false })),
+            ...group.allow.map(pattern => ({ pattern, allow: true }))
+        ]);
+    }
+    
+    /**
+     * Match a robots.txt path pattern (supports * and $)
+     */
+    matches(pattern, path) {
+        const anchored = pattern.endsWith('$');
+        const body = anchored ? pattern.slice(0, -1) : pattern;
+        const source = body
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        
+        return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+    }
+    
+    /**
+     * Find robots.txt rules that hide the page's robots meta from crawlers
+     */
+    findConflicts(data) {
+        const conflicts = [];
+        const path = this.getPagePath(data);
+        
+        if (!path || !this.hasRobotsTxt(data)) {
+            return conflicts;
+        }
+        
+        for (const crawler of this.crawlers) {
+            const result = this.isAllowed(data, path, crawler.userAgent);
+            if (result.allowed) continue;
+            
+            // Googlebot falls back to the generic robots meta; no meta means index, follow
+            const directive = data[crawler.metaField] || data.robots || 'index, follow';
+            const rule = `Disallow: ${result.rule.pattern}`;
+            
+            if (/\bnoindex\b/i.test(directive)) {
+                conflicts.push(`robots.txt (${rule}) blocks ${path} for ${crawler.label}, so its "noindex" is never seen and the URL can still be indexed from links`);
+            } else {
+                conflicts.push(`robots.txt (${rule}) blocks ${path} for ${crawler.label}, so its "${directive}" robots meta is never seen`);
+            }
+        }
+        
+        return conflicts;
+    }
+    
+    /**
+     * Validate robots.txt settings
+     */
+    validate(data) {
+        const errors = [];
+        const warnings = [];
+        
+        this.getGroups(data).forEach(group => {
+            const agents = group.userAgents.join(', ');
+            
+            [...group.disallow, ...group.allow].forEach(pattern => {
+                if (!pattern.startsWith('/') && !pattern.startsWith('*')) {
+                    errors.push(`Rule "${pattern}" for ${agents} must start with / or *`);
+                }
+            });
+            
+            if (group.crawlDelay !== undefined && group.crawlDelay !== '') {
+                if (isNaN(Number(group.crawlDelay)) || Number(group.crawlDelay) < 0) {
+                    errors.push(`Crawl-delay for ${agents} must be a positive number`);
+                } else if (group.userAgents.some(agent => /^googlebot/i.test(agent) || agent === '*')) {
+                    warnings.push('Googlebot ignores Crawl-delay');
+                }
+            }
+        });
+        
+        this.splitLines(data.robots_txt_sitemaps).forEach(url => {
+            if (!/^https?:\/\//i.test(url)) {
+                errors.push(`Sitemap "${url}" must be an absolute URL`);
+            }
+        });
+        
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings: [...new Set(warnings)]
+        };
+    }
+    
+    /**
+     * Path of the current page, taken from the canonical or OG URL
+     */
+    getPagePath(data) {
+        const url = data.canonical || data.og_url;
+        if (!url) return null;
+        
+        try {
+            const parsed = new URL(url);
+            return parsed.pathname + parsed.search;
+        } catch (error) {
+            return url.startsWith('/') ? url : null;
+        }
+    }
+    
+    /**
+     * Split a multi-line field into trimmed, non-empty lines
+     */
+    splitLines(value) {
+        if (!value) return [];
+        return String(value).split('\n').map(line => line.trim()).filter(Boolean);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,633 @@
+/**
+ * SCHEMA IMPORTER MODULE
+ * Maps pasted JSON-LD onto the schema fields, keeping what the fields cannot express
+ */
+
+import { formCategories, articleTypes } from '../data/formCategories.js';
+import { MetaGenerator } from './MetaGenerator.js';
+
+export class SchemaImporter {
+    constructor(metaGenerator = new MetaGenerator()) {
+        this.metaGenerator = metaGenerator;
+        
+        // Field definitions indexed by name, used to check mapped values fit their inputs
+        this.fields = new Map(formCategories.schema.fields.map(field => [field.name, field]));
+        
+        this.schemaTypes = this.fields.get('schema_type').options.map(option => option.value).filter(Boolean);
+        this.businessTypes = this.fields.get('business_type').options.map(option => option.value);
+        
+        const text = name => value => this.readText(name, value);
+        const enumeration = name => value => (typeof value === 'string' ? { [name]: this.stripSchemaUrl(value) } : null);
+        
+        const offers = value => (this.isObject(value) ? {
+            product_price: this.toText(value.price),
+            product_currency: value.priceCurrency,
+            product_availability: this.stripSchemaUrl(value.availability),
+            product_price_valid_until: value.priceValidUntil,
+            product_seller: this.pickName(value.seller)
+        } : null);
+        
+        const aggregateRating = value => (this.isObject(value) ? {
+            product_rating_value: this.toText(value.ratingValue),
+            product_best_rating: this.toText(value.bestRating),
+            product_review_count: this.toText(value.reviewCount || value.ratingCount)
+        } : null);
+        
+        const lines = value => [].concat(value).map(item => this.pickName(item) || item).join('\n');
+        
+        // Readers turn the value of one property into field values, or null when the fields cannot hold it
+        this.propertyReaders = {
+            '*': {
+                name: text('schema_name'),
+                description: text('schema_description'),
+                url: text('schema_url'),
+                image: text('schema_image')
+            },
+            Organization: {
+                logo: text('schema_logo'),
+                contactPoint: value => (this.isObject(value) ? {
+                    schema_telephone: value.telephone,
+                    schema_contact_type: value.contactType
+                } : null)
+            },
+            Person: {
+                jobTitle: text('schema_job_title'),
+                worksFor: text('schema_works_for')
+            },
+            Product: {
+                brand: value => ({ product_brand: this.pickName(value) }),
+                sku: text('product_sku'),
+                mpn: text('product_mpn'),
+                gtin: text('product_gtin'),
+                gtin8: text('product_gtin'),
+                gtin12: text('product_gtin'),
+                gtin13: text('product_gtin'),
+                gtin14: text('product_gtin'),
+                offers,
+                aggregateRating,
+                review: value => ({
+                    product_reviews: this.objects(value).map(review => ({
+                        author: this.pickName(review.author),
+                        date: review.datePublished,
+                        rating: review.reviewRating && this.toText(review.reviewRating.ratingValue),
+                        body: review.reviewBody
+                    }))
+                })
+            },
+            Event: {
+                startDate: value => this.readZonedDate('event_start_date', value),
+                endDate: value => this.readZonedDate('event_end_date', value),
+                previousStartDate: value => this.readZonedDate('event_previous_start_date', value),
+                eventStatus: enumeration('event_status'),
+                eventAttendanceMode: enumeration('event_attendance_mode'),
+                location: value => Object.assign({}, ...this.objects(value).map(location => (
+                    location['@type'] === 'VirtualLocation'
+                        ? { event_online_url: location.url }
+                        : { event_venue_name: location.name, ...this.readAddress('event', location.address) }
+                ))),
+                organizer: value => (this.isObject(value) ? {
+                    event_organizer_name: value.name,
+                    event_organizer_url: value.url
+                } : null),
+                performer: value => ({
+                    event_performers: this.objects(value).map(performer => ({ name: performer.name, type: performer['@type'] }))
+                }),
+                offers: value => (this.isObject(value) ? {
+                    event_ticket_url: value.url,
+                    event_price: this.toText(value.price),
+                    event_currency: value.priceCurrency,
+                    event_ticket_availability: this.stripSchemaUrl(value.availability),
+                    ...this.readZonedDate('event_valid_from', value.validFrom)
+                } : null)
+            },
+            LocalBusiness: {
+                telephone: text('schema_telephone'),
+                address: value => this.readAddress('business', value),
+                priceRange: text('business_price_range'),
+                areaServed: value => ({ business_area_served: lines(value) }),
+                openingHoursSpecification: value => this.readOpeningHours(value)
+            },
+            Recipe: {
+                prepTime: text('recipe_prep_time'),
+                cookTime: text('recipe_cook_time'),
+                totalTime: text('recipe_total_time'),
+                recipeYield: text('recipe_yield'),
+                recipeCategory: text('recipe_category'),
+                recipeCuisine: text('recipe_cuisine'),
+                keywords: text('recipe_keywords'),
+                nutrition: value => (this.isObject(value) ? {
+                    recipe_calories: value.calories,
+                    recipe_fat: value.fatContent,
+                    recipe_carbohydrates: value.carbohydrateContent,
+                    recipe_protein: value.proteinContent
+                } : null),
+                recipeIngredient: value => ({
+                    recipe_ingredients: [].concat(value).map(ingredient => ({ ingredient }))
+                }),
+                recipeInstructions: value => ({
+                    recipe_instructions: this.objects(value).map(step => ({ name: step.name, text: step.text }))
+                })
+            },
+            WebSite: {
+                alternateName: text('website_alternate_name'),
+                inLanguage: text('website_language'),
+                potentialAction: value => (this.isObject(value) && this.isObject(value.target) ? {
+                    website_search_url: value.target.urlTemplate
+                } : null)
+            },
+            VideoObject: {
+                thumbnailUrl: text('video_thumbnail_url'),
+                uploadDate: text('video_upload_date'),
+                duration: text('video_duration'),
+                contentUrl: text('video_content_url'),
+                embedUrl: text('video_embed_url')
+            },
+            JobPosting: {
+                title: text('schema_name'),
+                datePosted: text('job_date_posted'),
+                validThrough: text('job_valid_through'),
+                employmentType: text('job_employment_type'),
+                hiringOrganization: value => (this.isObject(value) ? {
+                    job_hiring_organization: value.name,
+                    job_hiring_organization_url: value.sameAs
+                } : null),
+                jobLocation: value => (this.isObject(value) ? this.readAddress('job', value.address) : null),
+                jobLocationType: value => (value === 'TELECOMMUTE' ? { job_remote: true } : null),
+                applicantLocationRequirements: value => ({
+                    job_applicant_countries: [].concat(value).map(country => this.pickName(country)).join(', ')
+                }),
+                baseSalary: value => this.readSalary(value)
+            },
+            Course: {
+                provider: value => (this.isObject(value) ? {
+                    course_provider: value.name,
+                    course_provider_url: value.sameAs
+                } : null),
+                hasCourseInstance: value => ({
+                    course_instances: this.objects(value).map(instance => ({
+                        mode: instance.courseMode,
+                        start: instance.startDate,
+                        end: instance.endDate,
+                        workload: instance.courseWorkload,
+                        location: instance.location
+                    }))
+                })
+            },
+            SoftwareApplication: {
+                operatingSystem: text('software_os'),
+                applicationCategory: text('software_category'),
+                offers,
+                aggregateRating
+            },
+            FAQPage: {
+                mainEntity: value => ({
+                    faq_items: this.objects(value).map(question => ({
+                        question: question.name,
+                        answer: question.acceptedAnswer && question.acceptedAnswer.text
+                    }))
+                })
+            },
+            HowTo: {
+                totalTime: text('howto_total_time'),
+                tool: value => ({ howto_tools: lines(value) }),
+                supply: value => ({ howto_supplies: lines(value) }),
+                step: value => ({
+                    howto_steps: this.objects(value).map(step => ({ name: step.name, text: step.text, image: step.image }))
+                })
+            }
+        };
+        
+        const articleReaders = {
+            headline: text('schema_headline'),
+            datePublished: text('schema_date_published'),
+            dateModified: text('schema_date_modified'),
+            author: value => ({
+                schema_authors: [].concat(value).map(author => (this.isObject(author)
+                    ? { name: author.name, url: author.url, type: author['@type'] }
+                    : { name: author, type: 'Person' }))
+            }),
+            publisher: value => (this.isObject(value) ? {
+                schema_publisher_name: value.name,
+                schema_publisher_logo: this.isObject(value.logo) ? value.logo.url : value.logo
+            } : null),
+            articleSection: text('schema_article_section'),
+            wordCount: text('schema_word_count'),
+            isAccessibleForFree: value => (value === false || value === 'False' ? { schema_paywalled: true } : null),
+            hasPart: value => (this.isObject(value) ? { schema_paywall_selector: value.cssSelector } : null)
+        };
+        
+        articleTypes.forEach(type => {
+            this.propertyReaders[type] = articleReaders;
+        });
+    }
+    
+    /**
+     * Import pasted JSON-LD: <script> blocks, a JSON document or several concatenated
+     */
+    parse(input) {
+        const documents = [];
+        const unrecognized = [];
+        
+        for (const block of this.extractBlocks(input)) {
+            try {
+                documents.push(JSON.parse(block));
+            } catch (error) {
+                unrecognized.push({ markup: this.summarize(block), reason: 'Invalid JSON' });
+            }
+        }
+        
+        const result = this.importDocuments(documents);
+        result.unrecognized.unshift(...unrecognized);
+        
+        return result;
+    }
+    
+    /**
+     * Split the input into JSON texts
+     */
+    extractBlocks(input) {
+        if (/<script\b/i.test(input)) {
+            const doc = new DOMParser().parseFromString(input, 'text/html');
+            
+            return Array.from(doc.querySelectorAll('script'))
+                .filter(script => (script.getAttribute('type') || '').toLowerCase() === 'application/ld+json')
+                .map(script => script.textContent.trim())
+                .filter(Boolean);
+        }
+        
+        // Walk the text so braces inside strings do not end a block
+        const blocks = [];
+        let depth = 0;
+        let start = -1;
+        let inString = false;
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                if (depth === 0) start = i;
+                depth++;
+            } else if ((char === '}' || char === ']') && depth > 0) {
+                depth--;
+                if (depth === 0) blocks.push(input.slice(start, i + 1));
+            }
+        }
+        
+        // An unclosed block is still reported as invalid JSON
+        if (depth > 0) blocks.push(input.slice(start));
+        
+        return blocks;
+    }
+    
+    /**
+     * Map parsed JSON-LD documents to form data; the first node becomes the page's main node
+     */
+    importDocuments(documents) {
+        const result = { data: {}, unrecognized: [] };
+        const nodes = [];
+        
+        for (const node of this.flatten(documents)) {
+            if (!this.isObject(node) || !node['@type']) {
+                result.unrecognized.push({ markup: this.summarize(node), reason: 'JSON-LD without @type' });
+                continue;
+            }
+            
+            if ([].concat(node['@type']).includes('BreadcrumbList')) {
+                if (result.data.breadcrumbs) {
+                    result.unrecognized.push({ markup: this.summarize(node), reason: 'Only one BreadcrumbList is imported' });
+                } else {
+                    result.data.breadcrumbs = this.readBreadcrumbs(node);
+                }
+                continue;
+            }
+            
+            const fields = this.importNode(node);
+            
+            if (fields) {
+                nodes.push(fields);
+            } else {
+                result.unrecognized.push({ markup: this.summarize(node), reason: `Unsupported schema type "${[].concat(node['@type']).join(', ')}"` });
+            }
+        }
+        
+        if (nodes.length > 0) {
+            Object.assign(result.data, nodes[0]);
+            if (nodes.length > 1) result.data.schema_nodes = nodes.slice(1);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Nodes of the documents, unwrapping arrays and @graph containers
+     */
+    flatten(documents) {
+        return documents.flatMap(document => {
+            if (Array.isArray(document)) return this.flatten(document);
+            if (this.isObject(document) && Array.isArray(document['@graph'])) return this.flatten(document['@graph']);
+            return [document];
+        });
+    }
+    
+    /**
+     * Map one node to schema fields, or null for an unsupported type
+     */
+    importNode(node) {
+        const base = this.resolveType(node['@type']);
+        if (!base) return null;
+        
+        const readers = { ...this.propertyReaders['*'], ...this.propertyReaders[base.schema_type] };
+        const mapped = {};
+        const additional = {};
+        const references = [];
+        
+        if (typeof node['@id'] === 'string') base.schema_id = node['@id'];
+        
+        for (const [property, value] of Object.entries(node)) {
+            if (property.startsWith('@')) continue;
+            
+            if (this.isReference(value)) {
+                [].concat(value).forEach(reference => references.push({ property, target: reference['@id'] }));
+                continue;
+            }
+            
+            const fields = readers[property] && this.compact(readers[property](value));
+            
+            if (fields && Object.entries(fields).every(([name, fieldValue]) => this.fits(this.fields.get(name), fieldValue))) {
+                mapped[property] = fields;
+            } else {
+                additional[property] = value;
+            }
+        }
+        
+        // Keep a mapping only if the fields give back the original value; dropping one can change others
+        let changed = true;
+        
+        while (changed) {
+            changed = false;
+            
+            const data = Object.assign({}, base, ...Object.values(mapped));
+            const generated = JSON.parse(JSON.stringify(this.metaGenerator.buildNodeProperties(data)));
+            
+            for (const property of Object.keys(mapped)) {
+                if (!this.covers(generated[property], node[property])) {
+                    additional[property] = node[property];
+                    delete mapped[property];
+                    changed = true;
+                }
+            }
+        }
+        
+        const fields = Object.assign(base, ...Object.values(mapped));
+        
+        if (references.length > 0) fields.schema_references = references;
+        if (!_.isEmpty(additional)) fields.schema_additional_properties = JSON.stringify(additional, null, 2);
+        
+        return fields;
+    }
+    
+    /**
+     * Schema type (and business type) fields for a node's @type
+     */
+    resolveType(type) {
+        const types = [].concat(type);
+        const schemaType = types.find(name => this.schemaTypes.includes(name));
+        
+        if (schemaType) {
+            return { schema_type: schemaType };
+        }
+        
+        // Subtypes such as Restaurant are LocalBusiness nodes with a business type
+        const businessType = types.find(name => this.businessTypes.includes(name));
+        return businessType ? { schema_type: 'LocalBusiness', business_type: businessType } : null;
+    }
+    
+    /**
+     * Whether a generated value holds everything of the original one
+     */
+    covers(generated, original) {
+        if (Array.isArray(original) && Array.isArray(generated)) {
+            return generated.length === original.length && original.every((item, index) => this.covers(generated[index], item));
+        }
+        
+        // A single value and a list of one are the same to consumers
+        if (Array.isArray(original)) return original.length === 1 && this.covers(generated, original[0]);
+        if (Array.isArray(generated)) return generated.length === 1 && this.covers(generated[0], original);
+        
+        if (this.isObject(original)) {
+            return this.isObject(generated) && Object.keys(original).every(key => this.covers(generated[key], original[key]));
+        }
+        
+        // Numbers may come back as strings, and enumerations with a different schema.org prefix
+        if (['string', 'number'].includes(typeof original) && ['string', 'number'].includes(typeof generated)) {
+            return this.stripSchemaUrl(String(generated)) === this.stripSchemaUrl(String(original));
+        }
+        
+        return _.isEqual(generated, original);
+    }
+    
+    /**
+     * Whether a mapped value can be shown by its field's input
+     */
+    fits(field, value) {
+        if (!field) return false;
+        
+        switch (field.type) {
+            case 'repeater':
+                return Array.isArray(value) && value.every(item => this.isObject(item) && Object.entries(item)
+                    .every(([name, itemValue]) => this.fits(field.fields.find(subField => subField.name === name), itemValue)));
+            
+            case 'select':
+                return field.options.some(option => option.value === value);
+            
+            case 'checkbox':
+                return typeof value === 'boolean';
+            
+            case 'number':
+                return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+            
+            case 'date':
+                return /^\d{4}-\d{2}-\d{2}$/.test(value);
+            
+            case 'datetime-local':
+                return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value);
+            
+            case 'time':
+                return /^\d{2}:\d{2}(:\d{2})?$/.test(value);
+            
+            default:
+                return typeof value === 'string';
+        }
+    }
+    
+    /**
+     * Text field from a string or number
+     */
+    readText(name, value) {
+        const text = this.toText(value);
+        return text === undefined ? null : { [name]: text };
+    }
+    
+    /**
+     * Event date split into the datetime-local value and the shared time zone field
+     */
+    readZonedDate(name, value) {
+        const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?)(Z|[+-]\d{2}:\d{2})?$/.exec(value || '');
+        if (!match) return null;
+        
+        return match[2] ? { [name]: match[1], event_timezone: match[2] } : { [name]: match[1] };
+    }
+    
+    /**
+     * Address fields with a prefix (event_, business_, job_) from a PostalAddress
+     */
+    readAddress(prefix, address) {
+        if (!this.isObject(address)) return {};
+        
+        return {
+            [`${prefix}_street`]: address.streetAddress,
+            [`${prefix}_locality`]: address.addressLocality,
+            [`${prefix}_region`]: address.addressRegion,
+            [`${prefix}_postal_code`]: this.toText(address.postalCode),
+            [`${prefix}_country`]: this.pickName(address.addressCountry)
+        };
+    }
+    
+    /**
+     * Weekly and special opening hours rows from OpeningHoursSpecification entries
+     */
+    readOpeningHours(value) {
+        const weekly = [];
+        const special = [];
+        
+        for (const spec of [].concat(value)) {
+            if (!this.isObject(spec)) return null;
+            
+            if (spec.validFrom) {
+                const closed = spec.opens === '00:00' && spec.closes === '00:00';
+                special.push(closed
+                    ? { valid_from: spec.validFrom, valid_through: spec.validThrough, closed: true }
+                    : { valid_from: spec.validFrom, valid_through: spec.validThrough, opens: spec.opens, closes: spec.closes });
+            } else {
+                [].concat(spec.dayOfWeek || []).forEach(day => {
+                    weekly.push({ days: this.stripSchemaUrl(day), opens: spec.opens, closes: spec.closes });
+                });
+            }
+        }
+        
+        return {
+            business_hours: weekly.length > 0 ? weekly : undefined,
+            business_special_hours: special.length > 0 ? special : undefined
+        };
+    }
+    
+    /**
+     * Salary fields from a MonetaryAmount with a single value or a range
+     */
+    readSalary(value) {
+        if (!this.isObject(value) || !this.isObject(value.value)) return null;
+        
+        const amount = value.value;
+        
+        return {
+            job_salary_min: this.toText(amount.minValue !== undefined ? amount.minValue : amount.value),
+            job_salary_max: this.toText(amount.maxValue),
+            job_salary_currency: value.currency,
+            job_salary_unit: amount.unitText
+        };
+    }
+    
+    /**
+     * Breadcrumb rows from a BreadcrumbList, in position order
+     */
+    readBreadcrumbs(node) {
+        return _.sortBy([].concat(node.itemListElement || []).filter(item => this.isObject(item)), item => Number(item.position))
+            .map(item => {
+                const target = this.isObject(item.item) ? item.item : {};
+                
+                return this.compact({
+                    name: item.name || target.name,
+                    url: typeof item.item === 'string' ? item.item : target['@id'] || target.url
+                });
+            });
+    }
+    
+    /**
+     * Whether a value only points at other nodes ({ "@id": ... } or a list of them)
+     */
+    isReference(value) {
+        const items = [].concat(value);
+        
+        return items.length > 0 && items.every(item => this.isObject(item)
+            && typeof item['@id'] === 'string' && Object.keys(item).length === 1);
+    }
+    
+    /**
+     * Drop empty values from mapped fields, recursing into repeater rows
+     */
+    compact(fields) {
+        if (!fields) return null;
+        
+        const isEmpty = value => value === undefined || value === null || value === '';
+        const clean = _.omitBy(fields, isEmpty);
+        
+        for (const [name, value] of Object.entries(clean)) {
+            if (Array.isArray(value)) {
+                clean[name] = value.map(item => (this.isObject(item) ? _.omitBy(item, isEmpty) : item));
+            }
+        }
+        
+        return _.isEmpty(clean) ? null : clean;
+    }
+    
+    /**
+     * Get a name from a string, Thing or array of either
+     */
+    pickName(value) {
+        if (Array.isArray(value)) return this.pickName(value[0]);
+        if (this.isObject(value)) return value.name;
+        return value;
+    }
+    
+    /**
+     * String form of a string or number, undefined otherwise
+     */
+    toText(value) {
+        if (typeof value === 'number') return String(value);
+        return typeof value === 'string' ? value : undefined;
+    }
+    
+    /**
+     * Drop the schema.org prefix of an enumeration value (https://schema.org/InStock)
+     */
+    stripSchemaUrl(value) {
+        return typeof value === 'string' ? value.replace(/^https?:\/\/schema\.org\//, '') : value;
+    }
+    
+    /**
+     * Objects of a single value or list, skipping anything else
+     */
+    objects(value) {
+        return [].concat(value).filter(item => this.isObject(item));
+    }
+    
+    /**
+     * Check for a plain object
+     */
+    isObject(value) {
+        return _.isPlainObject(value);
+    }
+    
+    /**
+     * Short JSON excerpt for the import report
+     */
+    summarize(value) {
+        const json = typeof value === 'string' ? value : JSON.stringify(value);
+        return json.length > 160 ? json.substring(0, 157) + '...' : json;
+    }
+}
\ No newline at end of file
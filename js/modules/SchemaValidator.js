@@ -0,0 +1,220 @@
+/**
+ * SCHEMA VALIDATOR MODULE
+ * Checks JSON-LD nodes against the bundled schema.org vocabulary and Google's rich result requirements
+ */
+
+import { schemaTypes, schemaEnumerations, richResultRequirements } from '../data/schemaVocabulary.js';
+
+export class SchemaValidator {
+    constructor() {
+        // Data types and the JSON values they accept
+        this.dataTypes = {
+            Text: value => typeof value === 'string' || typeof value === 'number',
+            URL: value => typeof value === 'string' && /^(https?:\/\/[^\s/]+|\/|#)\S*$/i.test(value),
+            Number: value => value !== '' && !isNaN(Number(value)) && typeof value !== 'boolean',
+            Integer: value => value !== '' && Number.isInteger(Number(value)) && typeof value !== 'boolean',
+            Boolean: value => typeof value === 'boolean' || /^(true|false)$/i.test(value),
+            Date: value => /^\d{4}-\d{2}-\d{2}$/.test(value),
+            DateTime: value => /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value),
+            Time: value => /^\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?$/.test(value),
+            Duration: value => /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value)
+        };
+        
+        // Types that also take a bare number, in the unit the property implies
+        this.quantityTypes = ['Distance', 'QuantitativeValue'];
+        
+        this.ancestors = new Map();
+        this.properties = new Map();
+    }
+    
+    /**
+     * Check one JSON-LD node; requirements adds Google's required and recommended properties
+     */
+    validate(schema, { requirements = true } = {}) {
+        const result = { errors: [], warnings: [] };
+        
+        if (!_.isPlainObject(schema) || !schema['@type']) {
+            result.errors.push('Node has no @type');
+            return result;
+        }
+        
+        this.checkObject(schema, '', result);
+        
+        if (requirements) {
+            this.checkRequirements(schema, result);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Check the type and properties of an object
+     */
+    checkObject(object, path, result) {
+        const prefix = path ? `${path}: ` : '';
+        const types = [].concat(object['@type']);
+        const unknown = types.filter(type => !schemaTypes[type]);
+        
+        // The bundled vocabulary is a subset, so names it lacks may still be valid schema.org
+        unknown.forEach(type => result.warnings.push(`${path ? `${path}: type` : 'Type'} "${type}" is not in the bundled vocabulary`));
+        if (unknown.length > 0) return;
+        
+        const properties = Object.assign({}, ...types.map(type => this.getProperties(type)));
+        
+        for (const [property, value] of Object.entries(object)) {
+            if (property.startsWith('@')) continue;
+            
+            const expected = properties[property];
+            
+            if (!expected) {
+                result.warnings.push(`${prefix}"${property}" is not in the bundled vocabulary for ${types.join(', ')}`);
+                continue;
+            }
+            
+            [].concat(value).forEach(item => this.checkValue(item, expected, path ? `${path}.${property}` : property, result));
+        }
+    }
+    
+    /**
+     * Check a property value against its expected types
+     */
+    checkValue(value, expected, path, result) {
+        if (value === null) return;
+        
+        if (_.isPlainObject(value)) {
+            this.checkNestedObject(value, expected, path, result);
+            return;
+        }
+        
+        const dataTypes = expected.filter(type => this.dataTypes[type]);
+        const enumerations = expected.filter(type => schemaEnumerations[type]);
+        
+        if (dataTypes.some(type => this.dataTypes[type](value))) return;
+        if (expected.some(type => this.quantityTypes.includes(type)) && this.dataTypes.Number(value)) return;
+        
+        if (typeof value === 'string') {
+            const member = value.replace(/^https?:\/\/schema\.org\//, '');
+            if (enumerations.some(type => schemaEnumerations[type].includes(member))) return;
+            
+            // Text stands in for things when no data type or enumeration is expected
+            if (dataTypes.length === 0 && enumerations.length === 0) return;
+        }
+        
+        result.errors.push(`${path}: expected ${expected.join(' or ')}, found ${this.describe(value)}`);
+    }
+    
+    /**
+     * Check an object value: its type must be one of the expected types or a subtype
+     */
+    checkNestedObject(value, expected, path, result) {
+        if (!value['@type']) {
+            // A lone @id points at another node
+            if (!('@id' in value && Object.keys(value).length === 1)) {
+                result.warnings.push(`${path}: value has no @type`);
+            }
+            return;
+        }
+        
+        const types = [].concat(value['@type']);
+        
+        // Types outside the bundled subset are only accepted where they are named
+        if (types.some(type => expected.includes(type) && !schemaTypes[type])) return;
+        
+        if (types.every(type => schemaTypes[type]) && !types.some(type => expected.some(name => this.isSubtype(type, name)))) {
+            result.errors.push(`${path}: expected ${expected.join(' or ')}, found ${types.join(', ')}`);
+            return;
+        }
+        
+        this.checkObject(value, path, result);
+    }
+    
+    /**
+     * Report missing properties Google requires or recommends for the node's rich result
+     */
+    checkRequirements(schema, result) {
+        const type = [].concat(schema['@type']).map(name => this.findRequirementType(name)).find(Boolean);
+        if (!type) return;
+        
+        const { required, recommended } = richResultRequirements[type];
+        const present = property => [].concat(property).some(name => !this.isEmpty(schema[name]));
+        const label = property => (Array.isArray(property)
+            ? `One of ${property.slice(0, -1).join(', ')} or ${property[property.length - 1]}`
+            : property);
+        
+        required.filter(property => !present(property)).forEach(property => {
+            result.errors.push(`${label(property)} is required for ${type} rich results`);
+        });
+        
+        recommended.filter(property => !present(property)).forEach(property => {
+            result.warnings.push(`${label(property)} is recommended for ${type} rich results`);
+        });
+    }
+    
+    /**
+     * Nearest type (itself or an ancestor) with rich result requirements
+     */
+    findRequirementType(type) {
+        const queue = [type];
+        
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (richResultRequirements[current]) return current;
+            if (schemaTypes[current]) queue.push(...(schemaTypes[current].parents || []));
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Properties of a type including those of its ancestors
+     */
+    getProperties(type) {
+        if (!this.properties.has(type)) {
+            const definition = schemaTypes[type];
+            const inherited = (definition.parents || []).map(parent => this.getProperties(parent));
+            this.properties.set(type, Object.assign({}, ...inherited, definition.properties));
+        }
+        
+        return this.properties.get(type);
+    }
+    
+    /**
+     * Whether a type is the given type or one of its subtypes
+     */
+    isSubtype(type, ancestor) {
+        return this.getAncestors(type).has(ancestor);
+    }
+    
+    /**
+     * Names of a type and all its ancestors
+     */
+    getAncestors(type) {
+        if (!this.ancestors.has(type)) {
+            const parents = (schemaTypes[type] && schemaTypes[type].parents) || [];
+            const names = new Set([type]);
+            parents.forEach(parent => this.getAncestors(parent).forEach(name => names.add(name)));
+            this.ancestors.set(type, names);
+        }
+        
+        return this.ancestors.get(type);
+    }
+    
+    /**
+     * Check for a missing or empty property value
+     */
+    isEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+    
+    /**
+     * Short description of a JSON value for messages
+     */
+    describe(value) {
+        if (typeof value === 'string') {
+            return `"${value.length > 40 ? value.substring(0, 37) + '...' : value}"`;
+        }
+        if (typeof value === 'number') return `the number ${value}`;
+        if (typeof value === 'boolean') return String(value);
+        return 'an object';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * SHARE LINK MODULE
+ * Encodes a page config into a compressed, URL-safe hash fragment and back
+ */
+
+export class ShareLink {
+    constructor(configSchema) {
+        this.configSchema = configSchema;
+        this.param = 'share';
+        // Link format: "<format>.<encoding>.<payload>"; bump the format when the layout changes
+        this.format = '1';
+    }
+    
+    /**
+     * Build a share URL for the given form data
+     */
+    async createUrl(data, baseUrl = window.location.href) {
+        const url = new URL(baseUrl);
+        url.hash = `${this.param}=${await this.encode(data)}`;
+        return url.toString();
+    }
+    
+    /**
+     * Serialize form data into a hash value
+     */
+    async encode(data) {
+        const json = JSON.stringify({ version: this.configSchema.version, data });
+        const bytes = new TextEncoder().encode(json);
+        
+        // Deflate where the browser supports it, plain UTF-8 otherwise
+        if (this.canCompress()) {
+            return `${this.format}.z.${this.toBase64Url(await this.transform(bytes, new CompressionStream('deflate-raw')))}`;
+        }
+        
+        return `${this.format}.u.${this.toBase64Url(bytes)}`;
+    }
+    
+    /**
+     * Read the share value from a URL hash, or null when there is none
+     */
+    getHashValue(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        return params.get(this.param);
+    }
+    
+    /**
+     * Decode a hash value and run it through the config import pipeline
+     * Returns the same { kind, config, report } shape as ConfigSchema.import()
+     */
+    async decode(value) {
+        const [format, encoding, payload] = value.split('.');
+        let raw;
+        
+        try {
+            if (format !== this.format) {
+                throw new Error(`Unsupported link format "${format}"`);
+            }
+            
+            let bytes = this.fromBase64Url(payload || '');
+            
+            if (encoding === 'z') {
+                if (!this.canCompress()) {
+                    throw new Error('This browser cannot decompress share links');
+                }
+                bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+            } else if (encoding !== 'u') {
+                throw new Error(`Unsupported link encoding "${encoding}"`);
+            }
+            
+            raw = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            const report = this.configSchema.createReport();
+            report.errors.push(`The share link is damaged or unsupported: ${error.message}`);
+            return { kind: null, config: null, report };
+        }
+        
+        return this.configSchema.import(raw);
+    }
+    
+    /**
+     * Check for the Compression Streams API
+     */
+    canCompress() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+    
+    /**
+     * Pipe bytes through a compression or decompression stream
+     */
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+    
+    /**
+     * Bytes to base64url (no padding)
+     */
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    /**
+     * base64url to bytes
+     */
+    fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
\ No newline at end of file
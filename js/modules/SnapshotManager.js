@@ -0,0 +1,127 @@
+/**
+ * SNAPSHOT MANAGER MODULE
+ * Named checkpoints of a page's form data, with field and line diffs
+ */
+
+export class SnapshotManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.prefix = 'snapshot:';
+    }
+    
+    /**
+     * Save a named snapshot of a page
+     */
+    create(pageId, name, data) {
+        const id = `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+        const snapshot = {
+            id,
+            pageId,
+            name: (name || '').trim() || 'Untitled snapshot',
+            data: _.cloneDeep(data)
+        };
+        
+        this.storage.save(this.getKey(pageId, id), snapshot);
+        return this.get(pageId, id);
+    }
+    
+    /**
+     * Get a snapshot, with its creation time taken from the storage metadata
+     */
+    get(pageId, id) {
+        const key = this.getKey(pageId, id);
+        const snapshot = this.storage.load(key);
+        if (!snapshot) return null;
+        
+        const metadata = this.storage.getMetadata(key);
+        return { ...snapshot, createdAt: metadata ? metadata.timestamp : null };
+    }
+    
+    /**
+     * List the snapshots of a page, newest first
+     */
+    list(pageId) {
+        const prefix = this.getKey(pageId, '');
+        
+        return this.storage.keys()
+            .filter(key => key.startsWith(prefix))
+            .map(key => this.get(pageId, key.substring(prefix.length)))
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+    
+    /**
+     * Delete a snapshot
+     */
+    remove(pageId, id) {
+        this.storage.remove(this.getKey(pageId, id));
+    }
+    
+    /**
+     * Delete every snapshot of a page
+     */
+    removePage(pageId) {
+        this.list(pageId).forEach(snapshot => this.remove(pageId, snapshot.id));
+    }
+    
+    /**
+     * Field-by-field differences between two form data objects
+     */
+    diffFields(before, after) {
+        const fields = _.union(Object.keys(before), Object.keys(after)).sort();
+        
+        return fields
+            .filter(field => !_.isEqual(before[field], after[field]))
+            .map(field => ({
+                field,
+                before: before[field],
+                after: after[field],
+                status: !(field in before) ? 'added' : !(field in after) ? 'removed' : 'changed'
+            }));
+    }
+    
+    /**
+     * Line diff of two texts (longest common subsequence)
+     */
+    diffLines(before, after) {
+        const a = before ? before.split('\n') : [];
+        const b = after ? after.split('\n') : [];
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', line: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', line: a[i++] });
+            } else {
+                lines.push({ type: 'added', line: b[j++] });
+            }
+        }
+        
+        while (i < a.length) lines.push({ type: 'removed', line: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', line: b[j++] });
+        
+        return lines;
+    }
+    
+    /**
+     * Storage key of a snapshot
+     */
+    getKey(pageId, id) {
+        return `${this.prefix}${pageId}:${id}`;
+    }
+}
\ No newline at end of file
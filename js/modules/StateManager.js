@@ -8,7 +8,12 @@ export class StateManager {
         this.state = {};
         this.subscribers = {};
         this.history = [];
+        this.redoStack = [];
         this.maxHistory = 50;
+        
+        // Changes in the same group within this window become one undo step
+        this.coalesceWindow = 1000;
+        this.lastEntry = null;
     }
     
     /**
@@ -20,18 +25,22 @@ export class StateManager {
     
     /**
      * Set state value
+     * Options: history (false to skip the undo history), group (coalesce key)
      */
-    set(key, value) {
+    set(key, value, options = {}) {
         const oldValue = _.get(this.state, key);
         
         // Add to history
-        this.addToHistory({
-            type: 'SET',
-            key,
-            oldValue,
-            newValue: value,
-            timestamp: Date.now()
-        });
+        if (options.history !== false) {
+            this.addToHistory({
+                type: 'SET',
+                key,
+                oldValue: _.cloneDeep(oldValue),
+                newValue: _.cloneDeep(value),
+                group: options.group || null,
+                timestamp: Date.now()
+            });
+        }
         
         _.set(this.state, key, value);
         this.notify(key, value, oldValue);
@@ -150,7 +159,22 @@ export class StateManager {
      * Add to history
      */
     addToHistory(entry) {
+        const last = this.history[this.history.length - 1];
+        
+        // A new change invalidates anything that was undone
+        this.redoStack = [];
+        
+        // Coalesce rapid changes of the same group (e.g. typing in one field),
+        // but never into an entry that was undone/redone in between
+        if (last && last === this.lastEntry && entry.group && last.group === entry.group &&
+            last.key === entry.key && entry.timestamp - last.timestamp < this.coalesceWindow) {
+            last.newValue = entry.newValue;
+            last.timestamp = entry.timestamp;
+            return;
+        }
+        
         this.history.push(entry);
+        this.lastEntry = entry;
         
         // Maintain max history size
         if (this.history.length > this.maxHistory) {
@@ -174,21 +198,16 @@ export class StateManager {
         }
         
         const lastChange = this.history.pop();
+        this.lastEntry = null;
         
         switch (lastChange.type) {
             case 'SET':
             case 'UPDATE':
-                if (lastChange.oldValue === undefined) {
-                    _.unset(this.state, lastChange.key);
-                } else {
-                    _.set(this.state, lastChange.key, lastChange.oldValue);
-                }
-                this.notify(lastChange.key, lastChange.oldValue);
+                this.applyValue(lastChange.key, lastChange.oldValue);
                 break;
                 
             case 'DELETE':
-                _.set(this.state, lastChange.key, lastChange.oldValue);
-                this.notify(lastChange.key, lastChange.oldValue);
+                this.applyValue(lastChange.key, lastChange.oldValue);
                 break;
                 
             case 'CLEAR':
@@ -198,9 +217,89 @@ export class StateManager {
                 break;
         }
         
+        this.redoStack.push(lastChange);
+        return true;
+    }
+    
+    /**
+     * Redo last undone change
+     */
+    redo() {
+        if (this.redoStack.length === 0) {
+            return false;
+        }
+        
+        const change = this.redoStack.pop();
+        this.lastEntry = null;
+        
+        switch (change.type) {
+            case 'SET':
+            case 'UPDATE':
+                this.applyValue(change.key, change.newValue);
+                break;
+                
+            case 'DELETE':
+                this.applyValue(change.key, undefined);
+                break;
+                
+            case 'CLEAR':
+                this.state = {};
+                this.notify('*', this.state);
+                break;
+                
+            case 'REPLACE_STATE':
+                this.state = _.cloneDeep(change.newValue);
+                this.notify('*', this.state);
+                break;
+        }
+        
+        this.history.push(change);
         return true;
     }
     
+    /**
+     * Apply a value taken from the history
+     */
+    applyValue(key, value) {
+        const oldValue = _.get(this.state, key);
+        
+        // History entries are snapshots; hand out copies so they stay intact
+        if (value === undefined) {
+            _.unset(this.state, key);
+        } else {
+            _.set(this.state, key, _.cloneDeep(value));
+        }
+        
+        this.notify(key, _.get(this.state, key), oldValue);
+    }
+    
+    /**
+     * Check if there is something to undo
+     */
+    canUndo() {
+        return this.history.length > 0;
+    }
+    
+    /**
+     * Check if there is something to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Swap the undo/redo stacks, e.g. to keep one history per document
+     */
+    swapHistory(stacks = { history: [], redoStack: [] }) {
+        const previous = { history: this.history, redoStack: this.redoStack };
+        
+        this.history = stacks.history;
+        this.redoStack = stacks.redoStack;
+        this.lastEntry = null;
+        
+        return previous;
+    }
+    
     /**
      * Compute derived state
      */
@@ -290,12 +389,12 @@ export class StateManager {
     use(middleware) {
         const originalSet = this.set.bind(this);
         
-        this.set = (key, value) => {
+        this.set = (key, value, options) => {
             const result = middleware({
                 key,
                 value,
                 state: this.state,
-                next: () => originalSet(key, value)
+                next: () => originalSet(key, value, options)
             });
             
             if (result !== false) {
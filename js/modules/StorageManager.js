@@ -1,13 +1,280 @@
 /**
  * STORAGE MANAGER MODULE
- * Handles data persistence using in-memory storage
+ * Handles data persistence through pluggable backends (localStorage, IndexedDB, memory)
  */
 
+import { LocalStorageBackend } from './LocalStorageBackend.js';
+import { IndexedDBBackend } from './IndexedDBBackend.js';
+import { MemoryBackend } from './MemoryBackend.js';
+
 export class StorageManager {
-    constructor() {
+    constructor(options = {}) {
+        // Synchronous cache of serialized entries, written through to the backend
         this.storage = new Map();
         this.namespace = 'metatags_';
         this.expirationTimes = new Map();
+        this.version = '3.1.0';
+        
+        // Backends in order of preference; quota errors fall back to the next one
+        this.backends = options.backends || [
+            new LocalStorageBackend(),
+            new IndexedDBBackend(),
+            new MemoryBackend()
+        ];
+        this.backend = null;
+        this.eventBus = options.eventBus || null;
+        this.migrations = [];
+        this.queue = Promise.resolve();
+        this.ready = null;
+    }
+    
+    /**
+     * Connect to a backend and load stored data
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.connect();
+        }
+        
+        return this.ready;
+    }
+    
+    /**
+     * Pick the first backend holding data (or the first usable one) and hydrate the cache
+     */
+    async connect() {
+        let records = [];
+        
+        for (const backend of this.backends) {
+            if (!backend.isAvailable()) continue;
+            
+            try {
+                await backend.open();
+                const entries = await backend.entries(this.namespace);
+                
+                if (!this.backend || entries.length > 0) {
+                    this.backend = backend;
+                    records = entries;
+                }
+                
+                if (entries.length > 0) break;
+            } catch (error) {
+                console.warn(`Storage backend "${backend.name}" unavailable:`, error);
+            }
+        }
+        
+        // Keep anything saved before the backend was ready
+        const pending = new Map(this.storage);
+        const pendingExpirations = new Map(this.expirationTimes);
+        
+        records.forEach(([fullKey, serialized]) => this.hydrate(fullKey, serialized));
+        
+        pending.forEach((serialized, fullKey) => {
+            this.storage.set(fullKey, serialized);
+            this.write(fullKey, serialized);
+        });
+        pendingExpirations.forEach((expiration, fullKey) => this.expirationTimes.set(fullKey, expiration));
+        
+        this.migrate();
+        
+        return this.backend ? this.backend.name : null;
+    }
+    
+    /**
+     * Add a stored entry to the cache, dropping expired ones
+     */
+    hydrate(fullKey, serialized) {
+        try {
+            const parsed = JSON.parse(serialized);
+            
+            if (parsed.expires && Date.now() > parsed.expires) {
+                this.enqueue(backend => backend.remove(fullKey));
+                return;
+            }
+            
+            this.storage.set(fullKey, serialized);
+            if (parsed.expires) {
+                this.expirationTimes.set(fullKey, parsed.expires);
+            }
+        } catch (error) {
+            console.error('Storage load error:', error);
+        }
+    }
+    
+    /**
+     * Register a data migration between two stored versions
+     */
+    addMigration(migration) {
+        this.migrations.push(migration);
+    }
+    
+    /**
+     * Migrate entries saved by other versions to the current one
+     */
+    migrate() {
+        const groups = {};
+        const records = {};
+        
+        for (const [fullKey, serialized] of this.storage.entries()) {
+            const parsed = JSON.parse(serialized);
+            if (parsed.version === this.version) continue;
+            
+            const key = fullKey.substring(this.namespace.length);
+            const version = parsed.version || '1.0.0';
+            groups[version] = groups[version] || {};
+            groups[version][key] = parsed.data;
+            records[key] = parsed;
+        }
+        
+        for (const [version, entries] of Object.entries(groups)) {
+            const migrated = this.applyMigrations(entries, version);
+            
+            if (!migrated) {
+                console.warn(`No storage migration from version ${version} to ${this.version}`);
+                continue;
+            }
+            
+            Object.keys(entries).forEach(key => this.remove(key));
+            Object.entries(migrated).forEach(([key, data]) => {
+                // Keep the original save time (snapshots are dated by it) and expiry
+                const fullKey = this.namespace + key;
+                const { timestamp = Date.now(), expires = null } = records[key] || {};
+                const serialized = JSON.stringify({ data, timestamp, version: this.version, expires });
+                
+                this.storage.set(fullKey, serialized);
+                if (expires) this.expirationTimes.set(fullKey, expires);
+                this.write(fullKey, serialized);
+            });
+        }
+    }
+    
+    /**
+     * Run the migration chain from a version to the current one
+     */
+    applyMigrations(entries, version) {
+        let current = version;
+        let result = entries;
+        
+        while (current !== this.version) {
+            const migration = this.migrations.find(m => m.from === current);
+            if (!migration) return null;
+            
+            result = migration.migrate(result);
+            current = migration.to;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Queue a backend operation, keeping writes in order
+     */
+    enqueue(operation) {
+        this.queue = this.queue
+            .then(() => this.backend && operation(this.backend))
+            .catch(error => this.handleWriteError(error));
+        
+        return this.queue;
+    }
+    
+    /**
+     * Write an entry through to the backend
+     */
+    write(fullKey, serialized) {
+        return this.enqueue(backend => backend.set(fullKey, serialized));
+    }
+    
+    /**
+     * Handle a failed backend write
+     */
+    async handleWriteError(error) {
+        if (!this.isQuotaError(error)) {
+            console.error('Storage write error:', error);
+            return;
+        }
+        
+        if (!await this.fallback()) {
+            console.error('Storage quota exceeded and no fallback backend is available');
+        }
+    }
+    
+    /**
+     * Move all entries to the next usable backend
+     */
+    async fallback() {
+        const previous = this.backend;
+        const candidates = this.backends.slice(this.backends.indexOf(previous) + 1);
+        
+        for (const backend of candidates) {
+            if (!backend.isAvailable()) continue;
+            
+            try {
+                await backend.open();
+                
+                for (const [fullKey, serialized] of this.storage.entries()) {
+                    await backend.set(fullKey, serialized);
+                }
+                
+                this.backend = backend;
+                console.warn(`Storage quota exceeded in ${previous.name}, switched to ${backend.name}`);
+                
+                if (this.eventBus) {
+                    this.eventBus.emit('storageBackendChanged', { name: backend.name, persistent: backend.persistent });
+                }
+                
+                await this.release(previous);
+                return true;
+            } catch (error) {
+                console.warn(`Storage backend "${backend.name}" unavailable:`, error);
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Remove our entries from a backend so it is not picked up on the next load
+     */
+    async release(backend) {
+        try {
+            for (const [fullKey] of await backend.entries(this.namespace)) {
+                await backend.remove(fullKey);
+            }
+        } catch (error) {
+            console.warn(`Could not clear storage backend "${backend.name}":`, error);
+        }
+    }
+    
+    /**
+     * Check for a quota exceeded error
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+    
+    /**
+     * Wait for pending backend writes
+     */
+    flush() {
+        return this.queue;
+    }
+    
+    /**
+     * Name of the active backend
+     */
+    getBackendName() {
+        return this.backend ? this.backend.name : null;
+    }
+    
+    /**
+     * Check whether saved data outlives the tab
+     */
+    isPersistent() {
+        return Boolean(this.backend && this.backend.persistent);
     }
     
     /**
@@ -16,19 +283,24 @@ export class StorageManager {
     save(key, data, ttl = null) {
         try {
             const fullKey = this.namespace + key;
+            const expires = ttl ? Date.now() + ttl : null;
             const serialized = JSON.stringify({
                 data,
                 timestamp: Date.now(),
-                version: '2.0.0'
+                version: this.version,
+                expires
             });
             
             this.storage.set(fullKey, serialized);
             
             // Set expiration if TTL provided
-            if (ttl) {
-                this.expirationTimes.set(fullKey, Date.now() + ttl);
+            if (expires) {
+                this.expirationTimes.set(fullKey, expires);
+            } else {
+                this.expirationTimes.delete(fullKey);
             }
             
+            this.write(fullKey, serialized);
             return true;
         } catch (error) {
             console.error('Storage save error:', error);
@@ -70,6 +342,7 @@ export class StorageManager {
         const fullKey = this.namespace + key;
         this.storage.delete(fullKey);
         this.expirationTimes.delete(fullKey);
+        this.enqueue(backend => backend.remove(fullKey));
     }
     
     /**
@@ -80,6 +353,7 @@ export class StorageManager {
         keys.forEach(key => {
             if (key.startsWith(this.namespace)) {
                 this.storage.delete(key);
+                this.enqueue(backend => backend.remove(key));
             }
         });
         this.expirationTimes.clear();
@@ -136,6 +410,7 @@ export class StorageManager {
             if (Date.now() > expiration) {
                 this.storage.delete(key);
                 this.expirationTimes.delete(key);
+                this.enqueue(backend => backend.remove(key));
                 cleaned++;
             }
         }
@@ -154,7 +429,7 @@ export class StorageManager {
         });
         
         return {
-            version: '2.0.0',
+            version: this.version,
             timestamp: new Date().toISOString(),
             data
         };
@@ -0,0 +1,204 @@
+/**
+ * TAB SYNC MODULE
+ * Keeps the workspace in sync between open tabs and tracks which tabs are present
+ */
+
+export class TabSync {
+    constructor(eventBus, channelName = 'metatags-sync') {
+        this.eventBus = eventBus;
+        this.channelName = channelName;
+        this.tabId = `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+        this.channel = null;
+        this.peers = new Map();
+        this.pageId = null;
+        this.heartbeatInterval = 5000;
+        this.peerTimeout = 15000;
+        this.timer = null;
+    }
+    
+    /**
+     * Open the channel and announce this tab
+     */
+    start(pageId) {
+        this.pageId = pageId;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (event) => this.receive(event.data);
+        } else {
+            // Fallback: other tabs get a storage event for every write to this key
+            window.addEventListener('storage', (event) => {
+                if (event.key === this.channelName && event.newValue) {
+                    this.receive(JSON.parse(event.newValue));
+                }
+            });
+        }
+        
+        window.addEventListener('pagehide', () => this.stop());
+        
+        this.send({ type: 'hello', pageId });
+        this.timer = setInterval(() => {
+            this.send({ type: 'presence', pageId: this.pageId });
+            this.prunePeers();
+        }, this.heartbeatInterval);
+    }
+    
+    /**
+     * Say goodbye and close the channel
+     */
+    stop() {
+        if (this.timer === null) return;
+        
+        this.send({ type: 'bye' });
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+    
+    /**
+     * Post a message to the other tabs
+     */
+    send(message) {
+        const payload = { ...message, tabId: this.tabId, sentAt: Date.now() };
+        
+        if (this.channel) {
+            this.channel.postMessage(payload);
+            return;
+        }
+        
+        try {
+            window.localStorage.setItem(this.channelName, JSON.stringify(payload));
+            window.localStorage.removeItem(this.channelName);
+        } catch (error) {
+            console.warn('Tab sync message not sent:', error);
+        }
+    }
+    
+    /**
+     * Handle a message from another tab
+     */
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+        
+        switch (message.type) {
+            case 'hello':
+                this.updatePeer(message);
+                // Let the new tab know about us right away
+                this.send({ type: 'presence', pageId: this.pageId });
+                break;
+            
+            case 'presence':
+                this.updatePeer(message);
+                break;
+            
+            case 'bye':
+                this.peers.delete(message.tabId);
+                this.emitPeers();
+                break;
+            
+            case 'changes':
+                this.updatePeer(message);
+                this.eventBus.emit('tabSyncChanges', message);
+                break;
+        }
+    }
+    
+    /**
+     * Record a peer as present
+     */
+    updatePeer({ tabId, pageId }) {
+        const known = this.peers.get(tabId);
+        this.peers.set(tabId, { pageId: pageId || (known && known.pageId) || null, lastSeen: Date.now() });
+        
+        if (!known || known.pageId !== this.peers.get(tabId).pageId) {
+            this.emitPeers();
+        }
+    }
+    
+    /**
+     * Forget peers that stopped sending heartbeats (closed or crashed tabs)
+     */
+    prunePeers() {
+        const cutoff = Date.now() - this.peerTimeout;
+        let changed = false;
+        
+        this.peers.forEach((peer, tabId) => {
+            if (peer.lastSeen < cutoff) {
+                this.peers.delete(tabId);
+                changed = true;
+            }
+        });
+        
+        if (changed) this.emitPeers();
+    }
+    
+    /**
+     * Notify listeners of the current peers
+     */
+    emitPeers() {
+        this.eventBus.emit('tabSyncPeers', Array.from(this.peers.values()));
+    }
+    
+    /**
+     * Tell the other tabs which page this tab is showing
+     */
+    setPage(pageId) {
+        if (pageId === this.pageId) return;
+        
+        this.pageId = pageId;
+        this.send({ type: 'presence', pageId });
+    }
+    
+    /**
+     * Send the differences between two workspace states
+     */
+    publish(before, after) {
+        const changes = this.diffWorkspace(before, after);
+        
+        if (changes.fields.length > 0 || changes.pages) {
+            this.send({ type: 'changes', pageId: this.pageId, ...changes });
+        }
+    }
+    
+    /**
+     * Field edits and page list changes between two workspaces
+     * Each field edit carries the value it replaced, so the receiver can detect conflicts
+     */
+    diffWorkspace(before, after) {
+        const fields = this.diffValues(before.defaults || {}, after.defaults || {}, null);
+        const beforePages = new Map(before.pages.map(page => [page.id, page]));
+        
+        after.pages.forEach(page => {
+            const previous = beforePages.get(page.id);
+            if (previous && previous.data !== page.data) {
+                fields.push(...this.diffValues(previous.data, page.data, page.id));
+            }
+        });
+        
+        const outline = workspace => workspace.pages.map(page => `${page.id}:${page.name}`).join('\n');
+        
+        // New pages travel with their data; known pages only with id and name
+        const pages = outline(before) === outline(after)
+            ? null
+            : after.pages.map(page => (
+                beforePages.has(page.id)
+                    ? { id: page.id, name: page.name }
+                    : { id: page.id, name: page.name, data: page.data }
+            ));
+        
+        return { fields, pages };
+    }
+    
+    /**
+     * Changed top-level fields of a page (or of the defaults when pageId is null)
+     */
+    diffValues(before, after, pageId) {
+        return _.union(Object.keys(before), Object.keys(after))
+            .filter(field => !_.isEqual(before[field], after[field]))
+            .map(field => ({ pageId, field, base: before[field], value: after[field] }));
+    }
+}
\ No newline at end of file
@@ -3,6 +3,10 @@
  * Comprehensive form validation with multiple validation rules
  */
 
+import { Duration } from './Duration.js';
+import { SchemaValidator } from './SchemaValidator.js';
+import { articleTypes } from '../data/formCategories.js';
+
 export class ValidationEngine {
     constructor() {
         this.rules = {
@@ -18,6 +22,28 @@ export class ValidationEngine {
             date: this.validateDate.bind(this)
         };
         
+        // Rich result requirements per schema.org type
+        this.structuredDataRules = {
+            Product: this.validateProduct.bind(this),
+            Event: this.validateEvent.bind(this),
+            Recipe: this.validateRecipe.bind(this),
+            LocalBusiness: this.validateLocalBusiness.bind(this),
+            ...Object.fromEntries(articleTypes.map(type => [type, this.validateArticle.bind(this)])),
+            WebSite: this.validateWebSite.bind(this),
+            VideoObject: this.validateVideo.bind(this),
+            JobPosting: this.validateJobPosting.bind(this),
+            Course: this.validateCourse.bind(this),
+            SoftwareApplication: this.validateSoftware.bind(this),
+            FAQPage: this.validateFaqPage.bind(this),
+            HowTo: this.validateHowTo.bind(this),
+            BreadcrumbList: this.validateBreadcrumbList.bind(this)
+        };
+        this.duration = new Duration();
+        this.schemaValidator = new SchemaValidator();
+        
+        // HTML tags Google renders in FAQ answers; anything else is stripped or rejected
+        this.faqAnswerTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'ol', 'ul', 'li', 'a', 'p', 'div', 'b', 'strong', 'i', 'em'];
+        
         this.customRules = {};
         this.messages = {
             required: 'This field is required',
@@ -317,99 +343,855 @@ export class ValidationEngine {
     }
     
     /**
-     * Validate SEO requirements
+     * Check structured data against Google's rich result requirements
+     * Errors make the page ineligible; warnings are recommended properties
      */
-    validateSEO(data) {
-        const issues = [];
-        const recommendations = [];
+    validateStructuredData(data, type = data.schema_type) {
+        const result = { errors: [], warnings: [] };
+        const rule = this.structuredDataRules[type];
         
-        // Title validation
-        if (!data.title) {
-            issues.push('Missing page title');
-        } else {
-            if (data.title.length < 30) {
-                recommendations.push('Title is too short (recommended: 50-60 characters)');
+        if (rule) {
+            rule(data, result);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * All checks of a built schema node: rich result rules, additional properties and the vocabulary
+     */
+    validateSchemaNode(node) {
+        const result = this.validateStructuredData(node.data, node.type);
+        
+        // Page-level nodes are built from page fields, not from a node's additional properties
+        if (!node.pageLevel && node.data.schema_additional_properties) {
+            this.checkAdditionalProperties(node.data.schema_additional_properties, result);
+        }
+        
+        // The rich result rules already report missing properties, in terms of the form fields
+        const vocabulary = this.validateSchemaVocabulary(node.schema, { requirements: !this.structuredDataRules[node.type] });
+        result.errors.push(...vocabulary.errors);
+        result.warnings.push(...vocabulary.warnings);
+        
+        return result;
+    }
+    
+    /**
+     * Check generated JSON-LD against the bundled schema.org vocabulary
+     */
+    validateSchemaVocabulary(schema, options) {
+        return this.schemaValidator.validate(schema, options);
+    }
+    
+    /**
+     * Structured data health from 1 (no issues) to 0; each error costs 0.2 and each warning 0.05
+     */
+    getStructuredDataHealth(nodes) {
+        const results = nodes.map(node => this.validateSchemaNode(node));
+        const errors = _.sumBy(results, result => result.errors.length);
+        const warnings = _.sumBy(results, result => result.warnings.length);
+        
+        return Math.max(0, 1 - errors * 0.2 - warnings * 0.05);
+    }
+    
+    /**
+     * Check the additional properties JSON of a schema node
+     */
+    checkAdditionalProperties(value, { errors, warnings }) {
+        let properties;
+        
+        try {
+            properties = JSON.parse(value);
+        } catch (error) {
+            errors.push(`Additional properties are not valid JSON: ${error.message}`);
+            return;
+        }
+        
+        if (!_.isPlainObject(properties)) {
+            errors.push('Additional properties must be a JSON object');
+            return;
+        }
+        
+        const ignored = ['@context', '@type', '@id'].filter(key => key in properties);
+        if (ignored.length > 0) {
+            warnings.push(`${ignored.join(', ')} in additional properties ${ignored.length === 1 ? 'is' : 'are'} ignored; use the Schema Type and Node ID fields`);
+        }
+    }
+    
+    /**
+     * Check node ids and the references between schema nodes
+     */
+    validateSchemaGraph(nodes) {
+        const errors = [];
+        const ids = nodes.map(node => node.id);
+        
+        ids.filter((id, index) => ids.indexOf(id) !== index).forEach(id => {
+            errors.push(`Node ID ${id} is used by more than one node`);
+        });
+        
+        nodes.filter(node => !node.pageLevel).forEach(node => {
+            (node.data.schema_references || []).forEach(reference => {
+                if (!reference.property && !reference.target) return;
+                
+                // Absolute URLs may point at nodes published on other pages
+                const target = (reference.target || '').trim();
+                const local = target.startsWith('#');
+                
+                if (!reference.property || !target) {
+                    errors.push(`${node.id}: references need both a property and a node ID`);
+                } else if (local && !ids.includes(target)) {
+                    errors.push(`${node.id}: ${reference.property} points at ${target}, which is not a node on this page`);
+                } else if (target === node.id) {
+                    errors.push(`${node.id}: ${reference.property} points at the node itself`);
+                }
+            });
+        });
+        
+        return { errors, warnings: [] };
+    }
+    
+    /**
+     * Article recommendations: headline, dates, authors, publisher and paywall markup
+     */
+    validateArticle(data, { errors, warnings }) {
+        const headline = data.schema_headline || data.schema_name;
+        const published = data.schema_date_published || data.article_published_time;
+        const modified = data.schema_date_modified || data.article_modified_time;
+        const authors = data.schema_authors || [];
+        
+        if (!headline) {
+            warnings.push('Headline is recommended');
+        } else if (headline.length > 110) {
+            warnings.push('Headlines longer than 110 characters may be truncated');
+        }
+        
+        if (!data.schema_image && !data.og_image) {
+            warnings.push('An image is recommended');
+        }
+        
+        if (!published) {
+            warnings.push('Date published is recommended');
+        } else if (modified && modified < published) {
+            errors.push('Date modified is before date published');
+        }
+        
+        if (!authors.some(author => author.name)) {
+            warnings.push('At least one author is recommended');
+        }
+        
+        authors.forEach((author, index) => {
+            if (!author.name) {
+                errors.push(`Author ${index + 1}: name is required`);
+            } else if (/^(by|written by)\b/i.test(author.name) || /,| and /.test(author.name)) {
+                warnings.push(`Author ${index + 1}: give one name per author, without "by"`);
+            }
+            
+            if (author.url && !this.validateURL(author.url)) {
+                errors.push(`Author ${index + 1}: profile URL must be an absolute http(s) URL`);
+            }
+        });
+        
+        if (!data.schema_publisher_name && !data.organization_name) {
+            warnings.push('Publisher is recommended; set Publisher Name or the Site Organization');
+        }
+        
+        if (data.schema_word_count && !(Number(data.schema_word_count) >= 0)) {
+            errors.push('Word count must be a positive number');
+        }
+        
+        if (data.schema_paywalled && !data.schema_paywall_selector) {
+            errors.push('Paywalled articles need the selector of the paywalled section');
+        } else if (data.schema_paywall_selector && !/^\.[a-z_-][\w-]*$/i.test(data.schema_paywall_selector.trim())) {
+            errors.push('Paywalled section selector must be a class selector such as .paywall');
+        }
+    }
+    
+    /**
+     * WebSite requirements: site URL, a valid search URL template and language tag
+     */
+    validateWebSite(data, { errors, warnings }) {
+        const template = (data.website_search_url || '').trim();
+        const language = data.website_language || data.language;
+        
+        if (!data.schema_name && !data.og_site_name) {
+            warnings.push('Site name is recommended; set Name or OG Site Name');
+        }
+        
+        if (!data.schema_url) {
+            (template ? errors : warnings).push('Site URL is required for the sitelinks search box');
+        }
+        
+        if (template) {
+            const placeholders = template.match(/\{[^}]*\}/g) || [];
+            const search = placeholders.filter(placeholder => placeholder === '{search_term_string}');
+            
+            if (search.length !== 1) {
+                errors.push('Search URL template must contain {search_term_string} exactly once');
+            }
+            
+            if (placeholders.length > search.length) {
+                errors.push(`Search URL template only supports {search_term_string}, not ${_.difference(placeholders, search).join(', ')}`);
             }
-            if (data.title.length > 60) {
-                recommendations.push('Title is too long (recommended: 50-60 characters)');
+            
+            const example = template.replace(/\{[^}]*\}/g, 'test');
+            if (!this.validateURL(example)) {
+                errors.push('Search URL template must be an absolute http(s) URL');
+            } else if (data.schema_url && this.validateURL(data.schema_url) && new URL(example).hostname !== new URL(data.schema_url).hostname) {
+                warnings.push('Search URL template should be on the same domain as the site URL');
             }
         }
         
-        // Description validation
-        if (!data.description) {
-            issues.push('Missing meta description');
+        if (language && !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language)) {
+            errors.push(`Language "${language}" must be a BCP 47 tag such as en or en-US`);
+        }
+    }
+    
+    /**
+     * Video requirements: name, thumbnail, upload date and a media URL
+     */
+    validateVideo(data, { errors, warnings }) {
+        if (!data.schema_name) {
+            errors.push('Video name is required');
+        }
+        
+        if (!data.video_thumbnail_url) {
+            errors.push('Thumbnail URL is required');
+        }
+        
+        if (!data.video_upload_date) {
+            errors.push('Upload date is required');
+        }
+        
+        if (!data.schema_description) {
+            warnings.push('Description is recommended');
+        }
+        
+        if (!data.video_content_url && !data.video_embed_url) {
+            warnings.push('A content URL or embed URL is recommended, so Google can fetch the video');
+        }
+        
+        if (!data.video_duration) {
+            warnings.push('Duration is recommended');
+        } else if (this.duration.parse(data.video_duration) === null) {
+            errors.push('Duration must be an ISO 8601 duration (e.g. PT1M33S)');
+        }
+    }
+    
+    /**
+     * Job posting requirements: title, description, dates, employer, location and salary
+     */
+    validateJobPosting(data, { errors, warnings }) {
+        const hasAddress = data.job_street || data.job_locality || data.job_region || data.job_postal_code || data.job_country;
+        const salaryMin = Number(data.job_salary_min);
+        const salaryMax = Number(data.job_salary_max);
+        
+        if (!data.schema_name) {
+            errors.push('Job title is required (Name)');
+        }
+        
+        if (!data.schema_description) {
+            errors.push('Job description is required');
+        }
+        
+        if (!data.job_date_posted) {
+            errors.push('Date posted is required');
+        } else if (data.job_valid_through && data.job_valid_through < data.job_date_posted) {
+            errors.push('Valid through is before the date posted');
+        }
+        
+        if (data.job_valid_through && new Date(data.job_valid_through) < new Date()) {
+            warnings.push('The posting has expired (valid through is in the past)');
+        }
+        
+        if (!data.job_hiring_organization && !data.organization_name) {
+            errors.push('Hiring organization is required; set it or the Site Organization');
+        }
+        
+        if (data.job_remote) {
+            if (!data.job_applicant_countries) {
+                errors.push('Remote jobs need the countries applicants may live in');
+            }
+        } else if (!hasAddress) {
+            errors.push('Job location is required unless the job is fully remote');
+        } else if (!data.job_country) {
+            errors.push('Job location needs a country');
+        }
+        
+        if (!data.job_employment_type) {
+            warnings.push('Employment type is recommended');
+        }
+        
+        if (!data.job_salary_min) {
+            warnings.push('Base salary is recommended');
+            if (data.job_salary_max) {
+                errors.push('Give the minimum salary with the maximum');
+            }
         } else {
-            if (data.description.length < 120) {
-                recommendations.push('Description is too short (recommended: 120-160 characters)');
+            if (!(salaryMin > 0)) {
+                errors.push('Salary must be a number greater than zero');
+            } else if (data.job_salary_max && !(salaryMax >= salaryMin)) {
+                errors.push('Maximum salary must not be below the minimum');
+            }
+            
+            if (!/^[A-Za-z]{3}$/.test(data.job_salary_currency || '')) {
+                errors.push('Salary currency must be a three-letter ISO 4217 code (e.g. USD)');
+            }
+        }
+    }
+    
+    /**
+     * Course requirements: name, description, provider and valid instances
+     */
+    validateCourse(data, { errors, warnings }) {
+        if (!data.schema_name) {
+            errors.push('Course name is required');
+        }
+        
+        if (!data.schema_description) {
+            errors.push('Course description is required');
+        }
+        
+        if (!data.course_provider && !data.organization_name) {
+            warnings.push('Provider is recommended; set it or the Site Organization');
+        }
+        
+        (data.course_instances || []).forEach((instance, index) => {
+            const label = `Course instance ${index + 1}`;
+            
+            if (!instance.mode) {
+                errors.push(`${label}: mode is required`);
             }
-            if (data.description.length > 160) {
-                recommendations.push('Description is too long (recommended: 120-160 characters)');
+            
+            if (instance.start && instance.end && instance.end < instance.start) {
+                errors.push(`${label}: end date is before the start date`);
             }
+            
+            if (instance.workload && this.duration.parse(instance.workload) === null) {
+                errors.push(`${label}: workload must be an ISO 8601 duration (e.g. PT22H)`);
+            }
+            
+            if (instance.mode !== 'Online' && !instance.location) {
+                warnings.push(`${label}: location is recommended for onsite and blended courses`);
+            }
+        });
+        
+        if (!(data.course_instances || []).length) {
+            warnings.push('Course instances are recommended');
+        }
+    }
+    
+    /**
+     * Software application requirements: name, offer price and a rating
+     */
+    validateSoftware(data, { errors, warnings }) {
+        if (!data.schema_name) {
+            errors.push('Application name is required');
+        }
+        
+        if (data.product_price === undefined || data.product_price === '') {
+            errors.push('Price is required; use 0 for free applications');
+        } else if (!(Number(data.product_price) >= 0)) {
+            errors.push('Price must be a number of zero or more');
+        } else if (Number(data.product_price) > 0 && !/^[A-Za-z]{3}$/.test(data.product_currency || '')) {
+            errors.push('Currency must be a three-letter ISO 4217 code (e.g. USD)');
+        }
+        
+        if (!data.product_rating_value && !data.product_review_count) {
+            errors.push('An average rating is required for software rich results');
         }
         
-        // Open Graph validation
-        if (!data.og_image) {
-            recommendations.push('Missing Open Graph image');
+        this.validateAggregateRating(data, errors);
+        
+        if (!data.software_os) {
+            warnings.push('Operating system is recommended');
         }
         
-        if (!data.og_title) {
-            recommendations.push('Missing Open Graph title');
+        if (!data.software_category) {
+            warnings.push('Application category is recommended');
         }
+    }
+    
+    /**
+     * FAQ page requirements: complete, unique questions and answers with supported HTML only
+     */
+    validateFaqPage(data, { errors, warnings }) {
+        const items = data.faq_items || [];
+        const seen = new Map();
         
-        // Twitter Card validation
-        if (!data.twitter_card) {
-            recommendations.push('Missing Twitter Card type');
+        if (items.length === 0) {
+            errors.push('At least one question is required');
         }
         
-        if (!data.twitter_image) {
-            recommendations.push('Missing Twitter Card image');
+        items.forEach((item, index) => {
+            const label = `Question ${index + 1}`;
+            const question = (item.question || '').trim();
+            
+            if (!question) {
+                errors.push(`${label}: question text is required`);
+            } else {
+                // Same question with different case or spacing still counts as a duplicate
+                const key = question.toLowerCase().replace(/\s+/g, ' ');
+                if (seen.has(key)) {
+                    errors.push(`${label} repeats question ${seen.get(key)}; each question may appear only once`);
+                } else {
+                    seen.set(key, index + 1);
+                }
+                
+                if (/<[a-z!/]/i.test(question)) {
+                    errors.push(`${label}: the question must be plain text`);
+                }
+            }
+            
+            if (!(item.answer || '').trim()) {
+                errors.push(`${label}: answer is required`);
+            } else {
+                this.checkAnswerHtml(item.answer).forEach(problem => errors.push(`${label}: ${problem}`));
+            }
+        });
+        
+        if (items.length === 1) {
+            warnings.push('FAQ pages usually list several questions');
         }
+    }
+    
+    /**
+     * Problems with the HTML of an FAQ answer
+     */
+    checkAnswerHtml(answer) {
+        const problems = [];
+        const open = [];
+        const tagPattern = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+        let match;
         
-        // Canonical URL
-        if (!data.canonical) {
-            recommendations.push('Missing canonical URL');
+        if (/<!--/.test(answer)) {
+            problems.push('answers may not contain HTML comments');
         }
         
-        return {
-            valid: issues.length === 0,
-            issues,
-            recommendations,
-            score: this.calculateSEOScore(data)
+        while ((match = tagPattern.exec(answer)) !== null) {
+            const [tag, closing, rawName] = match;
+            const name = rawName.toLowerCase();
+            
+            if (!this.faqAnswerTags.includes(name)) {
+                problems.push(`<${name}> is not allowed in answers`);
+                continue;
+            }
+            
+            if (/\son[a-z]+\s*=|javascript:/i.test(tag)) {
+                problems.push(`<${name}> may not carry scripts`);
+            }
+            
+            if (name !== 'br' && !tag.endsWith('/>')) {
+                if (!closing) {
+                    open.push(name);
+                } else if (open[open.length - 1] === name) {
+                    open.pop();
+                } else {
+                    problems.push(`</${name}> does not match an open tag`);
+                }
+            }
+        }
+        
+        if (open.length > 0) {
+            problems.push(`unclosed <${open[open.length - 1]}>`);
+        }
+        
+        return _.uniq(problems);
+    }
+    
+    /**
+     * How-to requirements: name, steps with text, valid total time and images
+     */
+    validateHowTo(data, { errors, warnings }) {
+        const steps = data.howto_steps || [];
+        
+        if (!data.schema_name) {
+            errors.push('How-to name is required');
+        }
+        
+        if (steps.length === 0) {
+            errors.push('At least one step is required');
+        } else if (steps.length === 1) {
+            warnings.push('A how-to usually has at least two steps');
+        }
+        
+        steps.forEach((step, index) => {
+            const label = `Step ${index + 1}`;
+            
+            if (!step.text) {
+                errors.push(`${label}: instruction text is required`);
+            }
+            
+            if (step.image && !this.validateURL(step.image)) {
+                errors.push(`${label}: image must be an absolute http(s) URL`);
+            }
+        });
+        
+        if (data.howto_total_time && this.duration.parse(data.howto_total_time) === null) {
+            errors.push('Total time must be an ISO 8601 duration (e.g. PT1H30M)');
+        } else if (!data.howto_total_time) {
+            warnings.push('Total time is recommended');
+        }
+        
+        if (!data.schema_image && !steps.some(step => step.image)) {
+            warnings.push('An image of the result or of the steps is recommended');
+        }
+        
+        if (!data.howto_tools && !data.howto_supplies) {
+            warnings.push('Tools or supplies are recommended');
+        }
+    }
+    
+    /**
+     * Breadcrumb requirements: names, and URLs on every item but the last
+     */
+    validateBreadcrumbList(data, { errors, warnings }) {
+        const items = data.breadcrumbs || [];
+        
+        items.forEach((item, index) => {
+            const label = `Breadcrumb ${index + 1}`;
+            
+            if (!item.name || !item.name.trim()) {
+                errors.push(`${label}: name is required`);
+            }
+            
+            if (!item.url && index < items.length - 1) {
+                errors.push(`${label}: URL is required on every item but the last`);
+            } else if (!this.validateURL(item.url)) {
+                errors.push(`${label}: URL must be an absolute http(s) URL`);
+            }
+        });
+        
+        if (items.length === 1) {
+            warnings.push('A breadcrumb trail usually has at least two items');
+        }
+    }
+    
+    /**
+     * Average rating and review count, shared by Product and SoftwareApplication
+     */
+    validateAggregateRating(data, errors) {
+        const bestRating = Number(data.product_best_rating || 5);
+        
+        if (data.product_rating_value) {
+            const rating = Number(data.product_rating_value);
+            
+            if (isNaN(rating) || rating < 1 || rating > bestRating) {
+                errors.push(`Average rating must be between 1 and ${bestRating}`);
+            }
+            if (!data.product_review_count) {
+                errors.push('Review count is required with an average rating');
+            }
+        } else if (data.product_review_count) {
+            errors.push('Average rating is required with a review count');
+        }
+    }
+    
+    /**
+     * Product snippet requirements
+     */
+    validateProduct(data, { errors, warnings }) {
+        const reviews = (data.product_reviews || []).filter(review => review.author || review.rating || review.body);
+        const hasOffer = Boolean(data.product_price || data.product_availability);
+        const bestRating = Number(data.product_best_rating || 5);
+        
+        if (!data.schema_name) {
+            errors.push('Product name is required');
+        }
+        
+        if (!hasOffer && !data.product_rating_value && reviews.length === 0) {
+            errors.push('Add an offer (price), an average rating or a review to be eligible for product rich results');
+        }
+        
+        // Offer
+        if (hasOffer) {
+            if (!data.product_price) {
+                errors.push('Offer price is required');
+            } else if (!(Number(data.product_price) > 0)) {
+                errors.push('Offer price must be a number greater than zero');
+            }
+            
+            if (!data.product_currency) {
+                errors.push('Offer currency is required');
+            } else if (!/^[A-Za-z]{3}$/.test(data.product_currency)) {
+                errors.push('Offer currency must be a three-letter ISO 4217 code (e.g. USD)');
+            }
+            
+            if (!data.product_availability) {
+                warnings.push('Availability is recommended');
+            }
+            
+            if (data.product_price_valid_until && new Date(data.product_price_valid_until) < new Date()) {
+                warnings.push('Price valid until is in the past');
+            }
+        }
+        
+        this.validateAggregateRating(data, errors);
+        
+        // Reviews
+        reviews.forEach((review, index) => {
+            const label = `Review ${index + 1}`;
+            const rating = Number(review.rating);
+            
+            if (!review.author) {
+                errors.push(`${label}: author is required`);
+            } else if (review.author.length > 100) {
+                errors.push(`${label}: author name must be under 100 characters`);
+            }
+            
+            if (!review.rating) {
+                errors.push(`${label}: rating is required`);
+            } else if (isNaN(rating) || rating < 1 || rating > bestRating) {
+                errors.push(`${label}: rating must be between 1 and ${bestRating}`);
+            }
+        });
+        
+        // Identifiers
+        if (data.product_gtin && !this.isValidGTIN(data.product_gtin)) {
+            errors.push('GTIN must be 8, 12, 13 or 14 digits with a valid check digit');
+        }
+        
+        if (!data.product_gtin && !data.product_mpn && !data.product_sku) {
+            warnings.push('A GTIN, MPN or SKU is recommended to identify the product');
+        }
+        
+        if (!data.product_brand) {
+            warnings.push('Brand is recommended');
+        }
+        
+        if (!data.schema_image) {
+            warnings.push('A product image is recommended');
+        }
+        
+        if (!data.schema_description) {
+            warnings.push('A product description is recommended');
+        }
+    }
+    
+    /**
+     * Event rich result requirements
+     */
+    validateEvent(data, { errors, warnings }) {
+        const mode = data.event_attendance_mode || 'OfflineEventAttendanceMode';
+        const hasAddress = Boolean(data.event_street || data.event_locality);
+        
+        if (!data.schema_name) {
+            errors.push('Event name is required');
+        }
+        
+        // Dates
+        if (!data.event_start_date) {
+            errors.push('Start date is required');
+        } else if (data.event_end_date && new Date(data.event_end_date) < new Date(data.event_start_date)) {
+            errors.push('End date is before the start date');
+        }
+        
+        if (data.event_timezone && !/^(Z|[+-]\d{2}:\d{2})$/.test(data.event_timezone)) {
+            errors.push('Time zone offset must look like +01:00, -05:00 or Z');
+        } else if (!data.event_timezone && data.event_start_date) {
+            warnings.push('Add a time zone offset so the dates are not ambiguous');
+        }
+        
+        if (!data.event_end_date) {
+            warnings.push('End date is recommended');
+        }
+        
+        if (data.event_status === 'EventRescheduled' && !data.event_previous_start_date) {
+            warnings.push('Rescheduled events should give the previous start date');
+        }
+        
+        // Location
+        if (mode !== 'OnlineEventAttendanceMode') {
+            if (!data.event_venue_name) {
+                warnings.push('Venue name is recommended');
+            }
+            if (!hasAddress) {
+                errors.push('In-person events need the venue address');
+            }
+        }
+        
+        if (mode !== 'OfflineEventAttendanceMode' && !data.event_online_url) {
+            errors.push('Online events need the URL where attendees join');
+        }
+        
+        // Tickets
+        const hasPrice = data.event_price !== undefined && data.event_price !== '';
+        
+        if (hasPrice || data.event_ticket_url) {
+            if (hasPrice && isNaN(Number(data.event_price))) {
+                errors.push('Ticket price must be a number');
+            }
+            if (hasPrice && !data.event_currency) {
+                errors.push('Ticket currency is required with a price');
+            } else if (data.event_currency && !/^[A-Za-z]{3}$/.test(data.event_currency)) {
+                errors.push('Ticket currency must be a three-letter ISO 4217 code (e.g. USD)');
+            }
+            if (!data.event_ticket_url) {
+                warnings.push('Ticket URL is recommended');
+            }
+        } else if (data.event_status !== 'EventCancelled') {
+            warnings.push('Ticket offers (price and URL) are recommended');
+        }
+        
+        if (!data.event_organizer_name) {
+            warnings.push('Organizer is recommended');
+        }
+        
+        if (!(data.event_performers || []).some(performer => performer.name)) {
+            warnings.push('Performer is recommended');
+        }
+        
+        if (!data.schema_image) {
+            warnings.push('An event image is recommended');
+        }
+        
+        if (!data.schema_description) {
+            warnings.push('An event description is recommended');
+        }
+    }
+    
+    /**
+     * Recipe rich result requirements
+     */
+    validateRecipe(data, { errors, warnings }) {
+        const times = {
+            'Prep time': data.recipe_prep_time,
+            'Cook time': data.recipe_cook_time,
+            'Total time': data.recipe_total_time
+        };
+        
+        if (!data.schema_name) {
+            errors.push('Recipe name is required');
+        }
+        
+        if (!data.schema_image) {
+            errors.push('A recipe image is required');
+        }
+        
+        for (const [label, value] of Object.entries(times)) {
+            if (value && this.duration.parse(value) === null) {
+                errors.push(`${label} must be an ISO 8601 duration (e.g. PT1H30M)`);
+            }
+        }
+        
+        // Google wants prep and cook time together, or a total time
+        if (Boolean(data.recipe_prep_time) !== Boolean(data.recipe_cook_time)) {
+            warnings.push('Give both prep time and cook time');
+        }
+        
+        const total = this.duration.parse(data.recipe_total_time);
+        const parts = (this.duration.parse(data.recipe_prep_time) || 0) + (this.duration.parse(data.recipe_cook_time) || 0);
+        if (total && total < parts) {
+            warnings.push('Total time is shorter than prep time plus cook time');
+        }
+        
+        if (!(data.recipe_ingredients || []).some(item => item.ingredient)) {
+            warnings.push('Ingredients are recommended');
+        }
+        
+        if (!(data.recipe_instructions || []).some(step => step.text)) {
+            warnings.push('Instructions are recommended');
+        }
+        
+        if (!data.recipe_yield) {
+            warnings.push(data.recipe_calories
+                ? 'Yield is recommended with nutrition, so calories read as per serving'
+                : 'Yield is recommended');
+        }
+        
+        const recommended = {
+            recipe_category: 'Category is recommended',
+            recipe_cuisine: 'Cuisine is recommended',
+            recipe_keywords: 'Keywords are recommended',
+            recipe_calories: 'Calories are recommended',
+            schema_description: 'A recipe description is recommended'
         };
+        
+        for (const [field, message] of Object.entries(recommended)) {
+            if (!data[field]) {
+                warnings.push(message);
+            }
+        }
     }
     
     /**
-     * Calculate SEO score
+     * Local business rich result requirements
      */
-    calculateSEOScore(data) {
-        let score = 0;
+    validateLocalBusiness(data, { errors, warnings }) {
+        const coordinates = data.geo_position || data.icbm;
+        
+        if (!data.schema_name) {
+            errors.push('Business name is required');
+        }
+        
+        if (!data.business_street || !data.business_locality) {
+            errors.push('Street address and city are required');
+        }
+        
+        if (!data.business_country) {
+            warnings.push('Country is recommended');
+        }
         
-        // Basic meta (30 points)
-        if (data.title && data.title.length >= 30 && data.title.length <= 60) score += 15;
-        else if (data.title) score += 5;
+        if (!coordinates) {
+            warnings.push('Coordinates are recommended; set Geographic Position in the SEO category');
+        } else if (!/^\s*-?\d+(\.\d+)?\s*[;,]\s*-?\d+(\.\d+)?\s*$/.test(coordinates)) {
+            errors.push('Geographic Position must be "latitude;longitude"');
+        }
         
-        if (data.description && data.description.length >= 120 && data.description.length <= 160) score += 15;
-        else if (data.description) score += 5;
+        (data.business_hours || []).forEach((row, index) => {
+            if (!row.opens || !row.closes) {
+                errors.push(`Opening hours ${index + 1}: opening and closing times are required`);
+            }
+        });
         
-        // Open Graph (25 points)
-        if (data.og_title) score += 5;
-        if (data.og_description) score += 5;
-        if (data.og_image) score += 10;
-        if (data.og_url) score += 5;
+        (data.business_special_hours || []).forEach((row, index) => {
+            const label = `Holiday hours ${index + 1}`;
+            
+            if (!row.valid_from) {
+                errors.push(`${label}: start date is required`);
+            } else if (row.valid_through && row.valid_through < row.valid_from) {
+                errors.push(`${label}: end date is before the start date`);
+            }
+            
+            if (!row.closed && (!row.opens || !row.closes)) {
+                errors.push(`${label}: give opening and closing times, or mark it closed all day`);
+            }
+        });
         
-        // Twitter (15 points)
-        if (data.twitter_card) score += 5;
-        if (data.twitter_title) score += 5;
-        if (data.twitter_image) score += 5;
+        if (!(data.business_hours || []).length) {
+            warnings.push('Opening hours are recommended');
+        }
+        
+        if (!data.schema_telephone) {
+            warnings.push('Telephone is recommended');
+        }
+        
+        if (!data.business_price_range) {
+            warnings.push('Price range is recommended');
+        }
         
-        // SEO (20 points)
-        if (data.canonical) score += 10;
-        if (data.robots) score += 5;
-        if (data.language) score += 5;
+        if (!data.schema_url) {
+            warnings.push('Business URL is recommended');
+        }
+        
+        if (!data.schema_image) {
+            warnings.push('A business image is recommended');
+        }
+    }
+    
+    /**
+     * Check a GTIN's length and check digit
+     */
+    isValidGTIN(value) {
+        const digits = String(value).replace(/\s/g, '');
+        
+        if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) {
+            return false;
+        }
         
-        // Schema (10 points)
-        if (data.schema_type) score += 10;
+        // Weights alternate 3, 1, 3... starting from the digit next to the check digit
+        const sum = digits.slice(0, -1).split('').reverse()
+            .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
         
-        return Math.min(score, 100);
+        return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
     }
 }
\ No newline at end of file
@@ -0,0 +1,290 @@
+/**
+ * WORKSPACE MANAGER MODULE
+ * Manages the named pages of a site, each with its own form data
+ */
+
+export class WorkspaceManager {
+    constructor(state, storage) {
+        this.state = state;
+        this.storage = storage;
+        this.storageKey = 'workspace';
+        this.version = '3.1.0';
+        
+        // Form edits are saved once typing pauses; page and default changes at once
+        this.scheduleSave = _.debounce(() => this.save(), 500);
+        
+        // Single-page data saved by 2.0.0 becomes the first page
+        this.storage.addMigration({
+            from: '2.0.0',
+            to: '3.0.0',
+            migrate: ({ metaFormData, ...entries }) => {
+                if (metaFormData && !entries.workspace) {
+                    entries.workspace = this.createWorkspace([this.createPage('Home', metaFormData)]);
+                }
+                return entries;
+            }
+        });
+    }
+    
+    /**
+     * Load the workspace from storage
+     */
+    load() {
+        let workspace = this.storage.load(this.storageKey);
+        
+        if (!workspace || !Array.isArray(workspace.pages) || workspace.pages.length === 0) {
+            workspace = this.createWorkspace([this.createPage('Home')]);
+        }
+        
+        this.commit({ defaults: {}, ...workspace });
+        return workspace;
+    }
+    
+    /**
+     * Create an empty workspace structure
+     */
+    createWorkspace(pages) {
+        return {
+            activePageId: pages[0].id,
+            defaults: {},
+            pages
+        };
+    }
+    
+    /**
+     * Create a page object
+     */
+    createPage(name, data = {}) {
+        const now = Date.now();
+        
+        return {
+            id: this.generateId(),
+            name,
+            data,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+    
+    /**
+     * Get the current workspace
+     */
+    get() {
+        return this.state.get('workspace');
+    }
+    
+    /**
+     * Get all pages
+     */
+    getPages() {
+        return this.get().pages;
+    }
+    
+    /**
+     * Get page by id
+     */
+    getPage(id) {
+        return this.getPages().find(page => page.id === id) || null;
+    }
+    
+    /**
+     * Get the active page
+     */
+    getActive() {
+        return this.getPage(this.get().activePageId);
+    }
+    
+    /**
+     * Get the site-wide default values
+     */
+    getDefaults() {
+        return this.get().defaults;
+    }
+    
+    /**
+     * Replace the site-wide default values
+     */
+    setDefaults(defaults) {
+        this.commit({ ...this.get(), defaults });
+    }
+    
+    /**
+     * Add a new page
+     */
+    add(name, data = {}) {
+        const page = this.createPage(this.uniqueName(name), data);
+        const workspace = this.get();
+        
+        this.commit({
+            ...workspace,
+            pages: [...workspace.pages, page]
+        });
+        
+        return page;
+    }
+    
+    /**
+     * Duplicate pages by id
+     */
+    duplicate(ids) {
+        const copies = ids
+            .map(id => this.getPage(id))
+            .filter(Boolean)
+            .map(page => this.createPage(this.uniqueName(`${page.name} (copy)`), _.cloneDeep(page.data)));
+        
+        if (copies.length === 0) return [];
+        
+        const workspace = this.get();
+        this.commit({
+            ...workspace,
+            pages: [...workspace.pages, ...copies]
+        });
+        
+        return copies;
+    }
+    
+    /**
+     * Remove pages by id, always keeping at least one page
+     */
+    remove(ids) {
+        const workspace = this.get();
+        const pages = workspace.pages.filter(page => !ids.includes(page.id));
+        
+        if (pages.length === 0) {
+            throw new Error('A workspace needs at least one page');
+        }
+        
+        const activePageId = pages.some(page => page.id === workspace.activePageId)
+            ? workspace.activePageId
+            : pages[0].id;
+        
+        this.commit({ ...workspace, activePageId, pages });
+        return workspace.pages.length - pages.length;
+    }
+    
+    /**
+     * Rename a page
+     */
+    rename(id, name) {
+        this.updatePage(id, { name: this.uniqueName(name, id) });
+    }
+    
+    /**
+     * Switch the active page
+     */
+    setActive(id) {
+        if (!this.getPage(id)) {
+            throw new Error(`Page not found: ${id}`);
+        }
+        
+        this.commit({ ...this.get(), activePageId: id });
+        return this.getActive();
+    }
+    
+    /**
+     * Replace the form data of a page
+     */
+    setPageData(id, data) {
+        this.updatePage(id, { data }, { deferSave: true });
+    }
+    
+    /**
+     * Update page properties
+     */
+    updatePage(id, updates, options = {}) {
+        const workspace = this.get();
+        
+        this.commit({
+            ...workspace,
+            pages: workspace.pages.map(page => (
+                page.id === id ? { ...page, ...updates, updatedAt: Date.now() } : page
+            ))
+        }, options);
+    }
+    
+    /**
+     * Replace the whole workspace (e.g. from an import)
+     */
+    replace(workspace) {
+        if (!workspace || !Array.isArray(workspace.pages) || workspace.pages.length === 0) {
+            throw new Error('Invalid workspace data');
+        }
+        
+        const pages = workspace.pages.map(page => ({
+            ...this.createPage(page.name || 'Untitled', page.data || {}),
+            ...(page.id ? { id: page.id } : {})
+        }));
+        const activePageId = pages.some(page => page.id === workspace.activePageId)
+            ? workspace.activePageId
+            : pages[0].id;
+        
+        this.commit({ activePageId, defaults: workspace.defaults || {}, pages });
+    }
+    
+    /**
+     * Export the whole workspace, keeping site defaults and page values as separate layers
+     */
+    export() {
+        const workspace = this.get();
+        
+        return {
+            version: this.version,
+            timestamp: new Date().toISOString(),
+            activePageId: workspace.activePageId,
+            defaults: workspace.defaults,
+            pages: workspace.pages.map(({ id, name, data, createdAt, updatedAt }) => ({
+                id, name, data, createdAt, updatedAt
+            }))
+        };
+    }
+    
+    /**
+     * Persist the workspace
+     */
+    save() {
+        this.scheduleSave.cancel();
+        return this.storage.save(this.storageKey, this.get());
+    }
+    
+    /**
+     * Store a new workspace in state and persist it, now or when deferSave once edits pause
+     */
+    commit(workspace, { deferSave = false } = {}) {
+        // Page structure is not part of the form undo history
+        this.state.set('workspace', workspace, { history: false });
+        
+        if (deferSave) {
+            this.scheduleSave();
+        } else {
+            this.save();
+        }
+    }
+    
+    /**
+     * Make a page name unique within the workspace
+     */
+    uniqueName(name, exceptId = null) {
+        const base = (name || '').trim() || 'Untitled';
+        const taken = new Set(
+            (this.get() ? this.getPages() : [])
+                .filter(page => page.id !== exceptId)
+                .map(page => page.name)
+        );
+        
+        let candidate = base;
+        let counter = 2;
+        
+        while (taken.has(candidate)) {
+            candidate = `${base} ${counter++}`;
+        }
+        
+        return candidate;
+    }
+    
+    /**
+     * Generate a page id
+     */
+    generateId() {
+        return `page-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+    }
+}
\ No newline at end of file